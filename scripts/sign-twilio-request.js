@@ -0,0 +1,43 @@
+// Signs a webhook request the way Twilio does, for testing /twiml and
+// /start-relay locally with TWILIO_AUTH_TOKEN set.
+//
+//   node scripts/sign-twilio-request.js <url> [--send]
+//
+// Without --send it prints the X-Twilio-Signature and a matching curl command.
+// With --send it makes the request and prints the TwiML, which for
+// /start-relay?Digits=1234 includes the signed phone socket URL.
+import dotenv from "dotenv";
+import { computeTwilioSignature } from "../src/twilioAuth.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const send = args.includes("--send");
+const url = args.find((arg) => arg !== "--send");
+const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+if (!url || !authToken) {
+  console.error("Usage: TWILIO_AUTH_TOKEN=... node scripts/sign-twilio-request.js <url> [--send]");
+  process.exit(1);
+}
+
+// Twilio signs GET webhooks by URL only
+const signature = computeTwilioSignature(authToken, url);
+
+// The server rebuilds the signed URL from X-Forwarded-Proto (https when missing),
+// so plain http://localhost URLs need it set
+const headers = {
+  "X-Twilio-Signature": signature,
+  "X-Forwarded-Proto": new URL(url).protocol.replace(":", ""),
+};
+
+if (!send) {
+  console.log(`X-Twilio-Signature: ${signature}`);
+  const flags = Object.entries(headers).map(([name, value]) => `-H '${name}: ${value}'`);
+  console.log(`curl ${flags.join(" ")} '${url}'`);
+  process.exit(0);
+}
+
+const response = await fetch(url, { headers });
+console.log(`${response.status} ${response.statusText}`);
+console.log(await response.text());
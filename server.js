@@ -1,12 +1,71 @@
 import Fastify from "fastify";
 import fastifyWs from "@fastify/websocket";
 import dotenv from "dotenv";
-import OpenAI from "openai";
+import { matchGuess } from "./src/guessMatching.js";
+import { createRoomStore } from "./src/roomStore.js";
+import {
+  resetDrawing,
+  cleanStrokeBatch,
+  addStrokePoints,
+  clearDrawing,
+  undoDrawing,
+  redoDrawing,
+} from "./src/drawing.js";
+import { encodeStrokes } from "./src/strokeCodec.js";
+import { archiveRound, findRound, MAX_GALLERY_ROUNDS } from "./src/gallery.js";
+import { renderSvg, renderPng } from "./src/drawingExport.js";
+import { createWordBank, DIFFICULTIES, DEFAULT_DIFFICULTY } from "./src/wordBank.js";
+import { createWordProvider } from "./src/wordProviders.js";
+import { createModerator, readBlocklistFile } from "./src/moderation.js";
+import { isHintRequest, nextHint } from "./src/hints.js";
+import { matchCommand } from "./src/voiceCommands.js";
+import {
+  createRelayToken,
+  verifyRelayToken,
+  validateTwilioSignature,
+  escapeXml,
+  DEFAULT_RELAY_TOKEN_TTL_SECONDS,
+} from "./src/twilioAuth.js";
+import {
+  checkWebJoin,
+  checkPin,
+  canViewGallery,
+  cleanPin,
+  createAccessToken,
+  isDrawerToken,
+  MIN_PIN_LENGTH,
+  MAX_PIN_LENGTH,
+} from "./src/roomAccess.js";
+import { createRateLimiter } from "./src/rateLimit.js";
+import { createRoomEvents, ROOM_EVENTS } from "./src/roomEvents.js";
+import { isAdminAuthorized } from "./src/adminAuth.js";
 
 dotenv.config();
 
-const openai = new OpenAI({
+// AI word generation: openai | local (OpenAI-compatible server) | mock | none.
+// Defaults to openai when a key is set. Without a provider, or when it fails,
+// words come from the offline word bank.
+const wordProvider = createWordProvider({
+  type: process.env.WORD_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "none"),
+  apiKey: process.env.WORD_PROVIDER_API_KEY || process.env.OPENAI_API_KEY,
+  baseUrl: process.env.WORD_PROVIDER_BASE_URL,
+  model: process.env.WORD_PROVIDER_MODEL,
+  timeoutMs: Number(process.env.WORD_PROVIDER_TIMEOUT_MS) || undefined,
+  mockWords: (process.env.WORD_PROVIDER_MOCK_WORDS || "")
+    .split(",")
+    .map((word) => word.trim())
+    .filter(Boolean),
+});
+console.log("Word provider:", wordProvider ? wordProvider.name : "none (word bank only)");
+
+// Safety checks on spoken themes and AI words: blocklist, plus the OpenAI
+// moderation model when MODERATION=openai
+const moderator = createModerator({
+  type: process.env.MODERATION,
   apiKey: process.env.OPENAI_API_KEY,
+  extraBlockedWords: process.env.MODERATION_BLOCKLIST_FILE
+    ? readBlocklistFile(process.env.MODERATION_BLOCKLIST_FILE)
+    : [],
 });
 
 const PORT = process.env.PORT || 3000;
@@ -20,193 +79,1134 @@ const WS_BASE =
 
 console.log("WS_BASE is:", WS_BASE);
 
-// Test word list for games
-const PICTIONARY_WORDS = ["bear", "spaceship", "pizza", "guitar", "castle"];
+// Twilio webhook signatures and phone socket tokens are only checked when the
+// auth token is set, so local testing without Twilio keeps working
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || "";
+const RELAY_TOKEN_TTL_SECONDS =
+  Number(process.env.RELAY_TOKEN_TTL_SECONDS) || DEFAULT_RELAY_TOKEN_TTL_SECONDS;
+
+if (!TWILIO_AUTH_TOKEN) {
+  console.warn("TWILIO_AUTH_TOKEN is not set, Twilio requests and phone sockets are NOT verified.");
+}
+
+// /admin dashboard and API, turned off (404) unless set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+// Bundled words plus any custom lists (comma separated JSON/CSV paths)
+const wordBank = createWordBank({
+  files: (process.env.WORD_LIST_FILES || "")
+    .split(",")
+    .map((file) => file.trim())
+    .filter(Boolean),
+});
+
+// Round timer settings (seconds). Drawers can pick a different length per room.
+const MIN_ROUND_SECONDS = 15;
+const MAX_ROUND_SECONDS = 600;
+// ROUND_DURATION_SECONDS gets the same limits as the drawer's setting
+const DEFAULT_ROUND_SECONDS = clampRoundDuration(process.env.ROUND_DURATION_SECONDS || 90, 90);
+const ROUND_WARNING_SECONDS = 30;
+
+// Scoring: faster guesses and fewer wrong guesses are worth more
+const SCORE_BASE = 100;
+const SCORE_TIME_BONUS = 100; // scaled by the fraction of the round left
+const SCORE_WRONG_GUESS_PENALTY = 15;
+const SCORE_MIN = 10;
+const DRAWER_SHARE = 0.5; // drawer earns half of what the guesser gets
+const SCORE_HINT_PENALTY = 20; // per hint given in the round, for every guesser
+
+// Drawer batches stroke points and sends them at this rate (see /play)
+const STROKE_BATCH_FPS = 30;
+
+// New rooms are family-friendly unless FAMILY_FRIENDLY=false, drawers can switch it
+const DEFAULT_FAMILY_FRIENDLY = process.env.FAMILY_FRIENDLY !== "false";
+
+// Words played in a room are not picked again until their category runs out
+const MAX_WORD_HISTORY = 200;
+const MAX_PROMPT_AVOID_WORDS = 40; // most recent ones are listed in the AI prompt
+
+const MAX_PLAYER_NAME_LENGTH = 20;
+const MAX_WEB_GUESS_LENGTH = 100;
+const MAX_CHAT_LENGTH = 200; // drawer chat is read out loud to the callers
+
+// Abuse protection: biggest accepted WebSocket message / HTTP body, and rate
+// limits (see src/rateLimit.js). Stroke batches arrive at STROKE_BATCH_FPS.
+const MAX_WS_PAYLOAD_BYTES = 64 * 1024;
+const MAX_HTTP_BODY_BYTES = 16 * 1024;
+const AI_REQUESTS_PER_MINUTE = Number(process.env.AI_REQUESTS_PER_MINUTE) || 6; // per room
+
+const limits = {
+  webMessages: createRateLimiter({ name: "webMessagesPerSocket", perSecond: 60, burst: 120 }),
+  webMessagesPerIp: createRateLimiter({ name: "webMessagesPerIp", perSecond: 150, burst: 300 }),
+  joins: createRateLimiter({ name: "joinsPerIp", perSecond: 1 / 6, burst: 10 }), // slows PIN guessing
+  chat: createRateLimiter({ name: "chatPerSocket", perSecond: 0.5, burst: 3 }),
+  guesses: createRateLimiter({ name: "guessesPerSocket", perSecond: 2, burst: 6 }),
+  http: createRateLimiter({ name: "httpPerIp", perSecond: 10, burst: 50 }),
+  // A full gallery page loads every round's SVG at once
+  exports: createRateLimiter({ name: "drawingExportsPerIp", perSecond: 1, burst: MAX_GALLERY_ROUNDS + 6 }),
+  admin: createRateLimiter({ name: "adminPerIp", perSecond: 1, burst: 30 }), // also slows token guessing
+  ai: createRateLimiter({
+    name: "aiRequestsPerRoom",
+    perSecond: AI_REQUESTS_PER_MINUTE / 60,
+    burst: Math.min(3, AI_REQUESTS_PER_MINUTE),
+  }),
+};
+
+// Optional overrides for how forgiving guess matching is (see src/guessMatching.js).
+// Anything but a number of letters is ignored: NaN would quietly turn fuzzy
+// matching off, so the length-based default is used instead.
+function readGuessDistance(name) {
+  const raw = process.env[name];
+  if (!raw) return undefined;
+  const distance = Number(raw);
+  if (Number.isFinite(distance) && distance >= 0) return distance;
+  console.warn(`${name}=${raw} is not a number of letters, using the default.`);
+  return undefined;
+}
+
+const GUESS_MATCH_OPTIONS = {};
+const guessMaxDistance = readGuessDistance("GUESS_MAX_DISTANCE");
+const guessWarmDistance = readGuessDistance("GUESS_WARM_DISTANCE");
+if (guessMaxDistance !== undefined) GUESS_MATCH_OPTIONS.maxDistance = guessMaxDistance;
+if (guessWarmDistance !== undefined) GUESS_MATCH_OPTIONS.warmDistance = guessWarmDistance;
 
-const rooms = new Map();
 // Track which roomId each WebSocket belongs to
 const socketRoom = new WeakMap();
 
+// Room storage: "memory" (default) or "file" to keep games across restarts
+const rooms = createRoomStore({
+  type: process.env.ROOM_STORE,
+  filePath: process.env.ROOM_STORE_FILE || "./data/rooms.json",
+  createRoom,
+});
+
+// Rooms with nobody connected are deleted after this long without activity
+const ROOM_IDLE_MINUTES = Number(process.env.ROOM_IDLE_MINUTES) || 30;
+const ROOM_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Room lifecycle events (see src/roomEvents.js), counted for /health
+const roomEvents = createRoomEvents();
+const roomEventCounts = {};
+for (const type of Object.values(ROOM_EVENTS)) {
+  roomEventCounts[type] = 0;
+  roomEvents.on(type, () => roomEventCounts[type]++);
+}
+
+function createRoom(id) {
+  return {
+    id,
+    players: [], // drawer + guessers, see addPlayer
+    nextPlayerId: 1,
+    pickingWord: false, // true while a theme is being turned into a word
+    mode: "menu", // "menu" | "pictionary"
+    targetWord: null,
+    strokes: [], // store drawings to prevent refresh clear, see src/drawing.js
+    drawingStartedAt: Date.now(), // stroke and guess times are relative to this
+    undoStack: [],
+    redoStack: [],
+    theme: null,
+    roundDuration: DEFAULT_ROUND_SECONDS,
+    difficulty: DEFAULT_DIFFICULTY, // "easy" | "medium" | "hard" | "mixed"
+    usedWords: [], // lowercase words already played, oldest first
+    familyFriendly: DEFAULT_FAMILY_FRIENDLY, // stricter theme and word checks
+    rotateRoles: false, // swap drawer with a guesser after every round
+    roundEndsAt: null,
+    roundTimer: null, // interval handle while a round is running
+    roundWarningSent: false,
+    wrongGuesses: {}, // player name -> wrong guesses in the current round
+    roundGuesses: [], // every guess this round with its time, kept for the replay
+    hintStep: 0, // next hint to try, see src/hints.js
+    hintsUsed: 0,
+    givingHint: false, // true while a hint (maybe an AI clue) is being worked out
+    scores: {}, // player name -> points, kept across rounds
+    gallery: [], // finished drawings, see src/gallery.js
+    nextRoundId: 1,
+    hostToken: null, // given to the first drawer, see src/roomAccess.js
+    drawerToken: null, // given to whoever rotate mode made the drawer
+    pin: null, // optional PIN for everyone else
+    drawerRequests: [], // { id, socket, name } asking the host to draw
+    nextRequestId: 1,
+    lastActivityAt: Date.now(), // see touchRoom, idle rooms expire
+    messageStats: { total: 0, count: 0, lastMinute: 0, windowStart: Date.now() }, // see countMessage
+  };
+}
+
 function getRoom(id = "default") {
   let room = rooms.get(id);
   if (!room) {
-    room = {
-      id,
-      phoneSocket: null, // Twilio ConversationRelay WebSocket
-      drawerSocket: null, // web drawer
-      callerSocket: null, // web caller
-      mode: "menu", // "menu" | "pictionary"
-      targetWord: null,
-      drawSegments: [], // store drawings to prevent refresh clear
-      theme: null,
-    };
+    room = createRoom(id);
     rooms.set(id, room);
+    roomEvents.emit(ROOM_EVENTS.created, { roomId: id });
   }
   return room;
 }
 
+// Something happened in the room, so it isn't idle
+function touchRoom(room) {
+  room.lastActivityAt = Date.now();
+}
+
+// Messages per minute for the admin dashboard: the last full minute plus the current one so far
+function rollMessageWindow(stats, now = Date.now()) {
+  const elapsed = now - stats.windowStart;
+  if (elapsed < 60 * 1000) return;
+  stats.lastMinute = elapsed < 2 * 60 * 1000 ? stats.count : 0;
+  stats.count = 0;
+  stats.windowStart = now;
+}
+
+function countMessage(room, player) {
+  rollMessageWindow(room.messageStats);
+  room.messageStats.count++;
+  room.messageStats.total++;
+  if (player) player.messageCount++;
+}
+
+// Rooms nobody is connected to (or waiting to join) are dropped, drawings and all
+function expireIdleRooms(now = Date.now()) {
+  for (const room of [...rooms.values()]) {
+    if (room.players.length > 0 || room.drawerRequests.length > 0) continue;
+
+    const idleMs = now - room.lastActivityAt;
+    if (idleMs < ROOM_IDLE_MINUTES * 60 * 1000) continue;
+
+    stopRoundTimer(room);
+    rooms.delete(room.id);
+    limits.ai.forget(room.id);
+    roomEvents.emit(ROOM_EVENTS.expired, { roomId: room.id, idleMs });
+  }
+}
+
+// Persist the room's current state (no-op for the memory store)
+function saveRoom(room) {
+  rooms.save(room);
+}
+
 function resetRoom(room) {
+  stopRoundTimer(room);
   room.mode = "menu";
   room.targetWord = null;
   room.theme = null;
-  room.drawSegments = [];
+  resetDrawing(room);
+  saveRoom(room);
 }
 
-function pickRandomWord(list) {
-  return list[Math.floor(Math.random() * list.length)];
+function cleanPlayerName(raw) {
+  return (raw || "")
+    .toString()
+    .replace(/[^\p{L}\p{N} _'.-]/gu, "")
+    .trim()
+    .slice(0, MAX_PLAYER_NAME_LENGTH);
 }
 
-function sendToPhone(room, text) {
-  if (!room.phoneSocket) return;
+// Names double as scoreboard keys, so keep them unique within the room
+function uniquePlayerName(room, base) {
+  const taken = new Set(room.players.map((p) => p.name));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base} ${n}`)) n++;
+  return `${base} ${n}`;
+}
+
+/**
+ * Add a player to the room.
+ * kind: "phone" (ConversationRelay) | "web" (/play page)
+ * role: "drawer" | "guesser" | "spectator"
+ */
+function addPlayer(room, { kind, role, socket, name, isHost = false }) {
+  let fallback = kind === "phone" ? "Caller" : "Guesser";
+  if (role === "drawer") fallback = "Drawer";
+  if (role === "spectator") fallback = "Spectator";
+  const player = {
+    id: room.nextPlayerId++,
+    kind,
+    role,
+    name: uniquePlayerName(room, cleanPlayerName(name) || fallback),
+    socket,
+    isHost, // joined with the room's host token, see src/roomAccess.js
+    connectedAt: Date.now(),
+    messageCount: 0,
+  };
+  room.players.push(player);
+  touchRoom(room);
+  roomEvents.emit(ROOM_EVENTS.playerJoined, { roomId: room.id, player: describeForEvent(player) });
+  return player;
+}
+
+function removePlayer(room, socket) {
+  const player = findPlayer(room, socket);
+  if (player) {
+    room.players = room.players.filter((p) => p !== player);
+    touchRoom(room);
+    roomEvents.emit(ROOM_EVENTS.playerLeft, { roomId: room.id, player: describeForEvent(player) });
+  }
+  return player;
+}
+
+// Event payloads carry plain data, never the socket
+function describeForEvent(player) {
+  return { id: player.id, name: player.name, kind: player.kind, role: player.role };
+}
+
+function getHosts(room) {
+  return room.players.filter((p) => p.isHost);
+}
+
+function sendToHosts(room, payload) {
+  const msg = JSON.stringify(payload);
+  for (const host of getHosts(room)) host.socket.send(msg);
+}
+
+function sendHostState(room, host) {
+  host.socket.send(JSON.stringify({ type: "host", pinSet: Boolean(room.pin) }));
+  for (const request of room.drawerRequests) {
+    host.socket.send(
+      JSON.stringify({ type: "drawerRequest", requestId: request.id, name: request.name })
+    );
+  }
+}
+
+// A page without the host token asked for the drawer slot while the host is here
+function requestDrawerSlot(room, socket, name) {
+  const request = {
+    id: room.nextRequestId++,
+    socket,
+    name: cleanPlayerName(name) || "Someone",
+  };
+  room.drawerRequests.push(request);
+  sendToHosts(room, { type: "drawerRequest", requestId: request.id, name: request.name });
+}
+
+function rejectDrawerRequest(room, request, message) {
+  room.drawerRequests = room.drawerRequests.filter((r) => r !== request);
+  socketRoom.delete(request.socket);
+  request.socket.send(JSON.stringify({ type: "joinRejected", reason: "denied", message }));
+  sendToHosts(room, { type: "drawerRequestClosed", requestId: request.id });
+}
+
+// A web socket leaving the room (closed, or joining another room)
+function leaveRoom(room, socket) {
+  room.drawerRequests = room.drawerRequests.filter((r) => r.socket !== socket);
+  const player = removePlayer(room, socket);
+
+  // Nobody is left to answer the waiting requests
+  if (player && player.isHost && getHosts(room).length === 0) {
+    for (const request of room.drawerRequests.slice()) {
+      rejectDrawerRequest(room, request, "The host left before letting you in. Try again later.");
+    }
+  }
+  return player;
+}
+
+function findPlayer(room, socket) {
+  return room.players.find((p) => p.socket === socket) || null;
+}
+
+function getDrawer(room) {
+  return room.players.find((p) => p.role === "drawer") || null;
+}
+
+function getPhonePlayers(room) {
+  return room.players.filter((p) => p.kind === "phone");
+}
+
+// The web role name the /play page uses for a player
+function webRole(player) {
+  if (player.role === "guesser") return "caller";
+  return player.role;
+}
+
+function sendRole(player, drawerToken = null) {
+  player.socket.send(
+    JSON.stringify({ type: "role", role: webRole(player), ...(drawerToken ? { drawerToken } : {}) })
+  );
+}
+
+/**
+ * Rotate mode: hand the drawing over to a web guesser after a round.
+ * Prefers the round winner, otherwise whoever has waited longest.
+ * Phone-only players have no canvas, so they are never picked.
+ */
+function rotateDrawer(room, preferred = null) {
+  const candidates = room.players.filter(
+    (p) => p.kind === "web" && p.role === "guesser"
+  );
+  if (candidates.length === 0) return;
+
+  const next = candidates.includes(preferred) ? preferred : candidates[0];
+  const previous = getDrawer(room);
+
+  if (previous) {
+    previous.role = "guesser";
+    // Back of the queue for the next rotation
+    room.players = room.players.filter((p) => p !== previous).concat(previous);
+    sendRole(previous);
+  }
+  next.role = "drawer";
+  // Lets a page refresh come back as the drawer (the host has its own token)
+  room.drawerToken = next.isHost ? null : createAccessToken();
+  saveRoom(room);
+  sendRole(next, room.drawerToken);
+
+  sendToPhone(room, `${next.name} is drawing the next one.`);
+  sendToWeb(room, {
+    type: "status",
+    message: next.name + " is drawing next. Connected: " + describePlayers(room) + ".",
+  });
+}
+
+function describePlayers(room) {
+  if (room.players.length === 0) return "nobody yet";
+  return room.players
+    .map((p) => {
+      if (p.role === "drawer") return `${p.name} (drawing)`;
+      if (p.role === "spectator") return `${p.name} (watching)`;
+      return `${p.name} (${p.kind === "phone" ? "phone" : "web"})`;
+    })
+    .join(", ");
+}
+
+// fallback is passed explicitly while DEFAULT_ROUND_SECONDS itself is being set
+function clampRoundDuration(value, fallback = DEFAULT_ROUND_SECONDS) {
+  const seconds = Math.round(Number(value));
+  if (!Number.isFinite(seconds)) return fallback;
+  return Math.min(MAX_ROUND_SECONDS, Math.max(MIN_ROUND_SECONDS, seconds));
+}
+
+function cleanDifficulty(value) {
+  return DIFFICULTIES.includes(value) ? value : DEFAULT_DIFFICULTY;
+}
+
+// Phone instructions, also read when someone says "repeat" before anything was said
+const MENU_INSTRUCTIONS =
+  "Say a theme for the next word (for example: animals, Halloween, space, food), or say Random for any word, or say Quit to end the call.";
+const ROUND_INSTRUCTIONS =
+  "Your partner will draw something on their screen. Try to guess what it is by saying your guesses out loud. Say hint if you get stuck, skip for a different word, or give up to end the round.";
+
+// Last thing said to each socket, for "repeat"
+const lastSpoken = new WeakMap();
+
+// Speak text on a single ConversationRelay call
+function sendSpeech(socket, text) {
+  lastSpoken.set(socket, text);
   const payload = {
     type: "text",
     token: text,
     last: true,
   };
-  room.phoneSocket.send(JSON.stringify(payload));
+  socket.send(JSON.stringify(payload));
+}
+
+// Reply to a single player, spoken on the phone or shown in the web event log
+function sendNotice(player, text) {
+  if (player.kind === "phone") {
+    sendSpeech(player.socket, text);
+  } else {
+    lastSpoken.set(player.socket, text);
+    player.socket.send(JSON.stringify({ type: "notice", text }));
+  }
+}
+
+function sendToPhone(room, text) {
+  for (const player of getPhonePlayers(room)) {
+    sendSpeech(player.socket, text);
+  }
 }
 
 function sendToWeb(room, payload) {
   const msg = JSON.stringify(payload);
-  if (room.drawerSocket) room.drawerSocket.send(msg);
-  if (room.callerSocket) room.callerSocket.send(msg);
+  for (const player of room.players) {
+    if (player.kind === "web") player.socket.send(msg);
+  }
+}
+
+function wasPlayed(room, word) {
+  return room.usedWords.includes(word.trim().toLowerCase());
+}
+
+function rememberWord(room, word) {
+  room.usedWords.push(word.trim().toLowerCase());
+  if (room.usedWords.length > MAX_WORD_HISTORY) room.usedWords.shift();
+}
+
+// Word bank pick that skips words this room already played
+function pickBankWord(room, { theme = null, difficulty = room.difficulty } = {}) {
+  const pick = wordBank.pickWord({ theme, difficulty, exclude: room.usedWords });
+
+  // Every word in the category was played, forget them and start it over
+  if (pick.exhausted) {
+    const reset = new Set(pick.exhausted);
+    room.usedWords = room.usedWords.filter((word) => !reset.has(word));
+    fastify.log.info(
+      { roomId: room.id, difficulty, theme },
+      "Room played every word in this part of the word bank, starting over"
+    );
+  }
+  return pick.word;
+}
+
+// False when key is over the limit, with a warning (and onWarn, to tell the
+// player) every so often
+function withinLimit(limiter, key, logFields = {}, onWarn = null) {
+  if (limiter.take(key)) return true;
+  if (limiter.warnDue(key)) {
+    fastify.log.warn({ limit: limiter.name, ...logFields }, "Rate limit hit");
+    if (onWarn) onWarn();
+  }
+  return false;
+}
+
+// Drawer chat is spoken by Twilio, so only short plain text gets through
+function cleanChatText(raw) {
+  return (raw ?? "")
+    .toString()
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_CHAT_LENGTH);
 }
 
 // Use AI to pick a Pictionary word from a theme
-async function generatePictionaryWord(themeRaw) {
+async function generatePictionaryWord(room, themeRaw) {
   const theme = (themeRaw || "").trim();
-  // Fallback to word from original list pre OpenAI
-  if (!process.env.OPENAI_API_KEY) {
-    console.warn("OPENAI_API_KEY not set, falling back to random word.");
-    return pickRandomWord(PICTIONARY_WORDS);
-  }
+  // "hard animals" -> animals theme, hard words
+  const request = wordBank.parseRequest(theme);
+  const difficulty = request.difficulty || room.difficulty;
+  const fromWordBank = (matchedTheme) =>
+    pickBankWord(room, { theme: matchedTheme, difficulty });
 
   // If the caller says "random" or something similar, pick at random
   if (!theme || /random/i.test(theme)) {
-    return pickRandomWord(PICTIONARY_WORDS);
+    return fromWordBank(null);
+  }
+
+  // Offline: use the closest theme in the word bank (any theme if nothing matched)
+  if (!wordProvider) {
+    return fromWordBank(request.theme);
+  }
+
+  // Rooms that burn through themes get word bank words for a while
+  if (!withinLimit(limits.ai, room.id, { roomId: room.id })) {
+    return fromWordBank(request.theme);
   }
-  //Prompt to generate word from theme given
+
   try {
-    const prompt = `
-You are choosing a Pictionary word to be drawn.
-The chosen theme is: "${theme}".
-
-Return exactly ONE concrete noun suitable for pictionary that fits that theme.
-Try and be as accurate to the theme as possible.
-Do NOT add any explanation, punctuation, or extra text. Just the word itself.
-`;
-
-    const completion = await openai.responses.create({
-      model: "gpt-4.1-mini",
-      input: prompt,
+    const word = await wordProvider.generateWord({
+      theme,
+      difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : null,
+      avoid: room.usedWords.slice(-MAX_PROMPT_AVOID_WORDS),
     });
 
-    const raw = completion.output[0]?.content[0]?.text?.trim() || "";
-    const firstLine = raw.split("\n")[0].trim();
+    if (!word) {
+      return fromWordBank(request.theme);
+    }
+
+    const check = await moderator.checkWord(word, { familyFriendly: room.familyFriendly });
+    if (!check.ok) {
+      console.warn(`${wordProvider.name} word rejected (${check.reason}), using the word bank instead.`);
+      return fromWordBank(request.theme);
+    }
 
-    if (!firstLine) {
-      return pickRandomWord(PICTIONARY_WORDS);
+    // The model doesn't always listen
+    if (wasPlayed(room, word)) {
+      console.warn(`${wordProvider.name} picked "${word}" again, using the word bank instead.`);
+      return fromWordBank(request.theme);
     }
 
-    return firstLine;
+    return word;
+  } catch (err) {
+    console.error(`Error generating Pictionary word with ${wordProvider.name}:`, err.message);
+    return fromWordBank(request.theme);
+  }
+}
+
+function getSecondsLeft(room) {
+  if (!room.roundEndsAt) return null;
+  return Math.max(0, Math.ceil((room.roundEndsAt - Date.now()) / 1000));
+}
+
+function sendTimer(room) {
+  sendToWeb(room, {
+    type: "timer",
+    remaining: getSecondsLeft(room),
+    duration: room.roundDuration,
+  });
+}
+
+function stopRoundTimer(room) {
+  if (room.roundTimer) clearInterval(room.roundTimer);
+  room.roundTimer = null;
+  room.roundEndsAt = null;
+  room.roundWarningSent = false;
+}
+
+// Server-side countdown so a round can't run forever
+function startRoundTimer(room) {
+  stopRoundTimer(room);
+  room.roundEndsAt = Date.now() + room.roundDuration * 1000;
+  // No point warning about 30 seconds left if the round is shorter than that
+  room.roundWarningSent = room.roundDuration <= ROUND_WARNING_SECONDS;
+  room.roundTimer = setInterval(() => tickRoundTimer(room), 1000);
+  sendTimer(room);
+}
+
+// Pick a running round back up after a restart (file store)
+function resumeRoundTimer(room) {
+  if (room.mode !== "pictionary" || !room.roundEndsAt || room.roundTimer) return;
+  room.roundWarningSent = getSecondsLeft(room) <= ROUND_WARNING_SECONDS;
+  room.roundTimer = setInterval(() => tickRoundTimer(room), 1000);
+}
+
+function tickRoundTimer(room) {
+  const remaining = getSecondsLeft(room);
+
+  if (remaining <= 0) {
+    handleRoundTimeout(room);
+    return;
+  }
+
+  if (!room.roundWarningSent && remaining <= ROUND_WARNING_SECONDS) {
+    room.roundWarningSent = true;
+    sendToPhone(room, `${ROUND_WARNING_SECONDS} seconds left!`);
+  }
+
+  sendTimer(room);
+}
+
+// Ends the round without a winner: archives the drawing and reveals the word.
+// extra is added to the roundResult message (e.g. who skipped).
+function revealWord(room, outcome, spokenText, extra = {}) {
+  const word = room.targetWord;
+  stopRoundTimer(room);
+
+  const drawer = getDrawer(room);
+  const archived = archiveRound(room, {
+    outcome,
+    drawer: drawer ? drawer.name : null,
+  });
+
+  sendToPhone(room, spokenText);
+  sendToWeb(room, {
+    type: "roundResult",
+    outcome,
+    word,
+    ...extra,
+    galleryId: archived ? archived.id : null,
+  });
+}
+
+function handleRoundTimeout(room) {
+  revealWord(room, "timeout", `Time's up! The word was ${room.targetWord}.`);
+  backToMenu(room);
+}
+
+function giveUpRound(room, player) {
+  revealWord(room, "gaveUp", `${player.name} gave up. The word was ${room.targetWord}.`, {
+    by: player.name,
+  });
+  backToMenu(room);
+}
+
+// New word on the same theme, same drawer, no points for anyone
+async function skipWord(room, player) {
+  if (room.mode !== "pictionary" || room.pickingWord) return;
+
+  revealWord(
+    room,
+    "skipped",
+    `${player.name} skipped the word. It was ${room.targetWord}. Finding a new one.`,
+    { by: player.name }
+  );
+
+  // No guessing while the next word is picked
+  room.mode = "menu";
+  room.targetWord = null;
+  room.pickingWord = true;
+  saveRoom(room);
+
+  try {
+    const word = await generatePictionaryWord(room, room.theme || "random");
+    await startPictionary(room, word);
   } catch (err) {
-    console.error("Error generating Pictionary word:", err);
-    return pickRandomWord(PICTIONARY_WORDS);
+    wordPickFailed(room, player, err);
+  } finally {
+    room.pickingWord = false;
+  }
+}
+
+// Picking a word threw: put the room back on the theme menu so players can try
+// again, instead of leaving everyone waiting for a round that never starts
+function wordPickFailed(room, player, err) {
+  fastify.log.error({ err, roomId: room.id, player: player.name }, "Failed to pick a word");
+  resetRoom(room);
+
+  const text = "Sorry, something went wrong picking a word. Say a theme to try again.";
+  sendToPhone(room, text);
+  sendToWeb(room, { type: "notice", text });
+  sendToWeb(room, { type: "menu" });
+}
+
+function calculateRoundPoints(room, player) {
+  const remaining = getSecondsLeft(room) || 0;
+  const fractionLeft = room.roundDuration ? remaining / room.roundDuration : 0;
+  const wrongGuesses = room.wrongGuesses[player.name] || 0;
+  const points =
+    SCORE_BASE +
+    SCORE_TIME_BONUS * fractionLeft -
+    SCORE_WRONG_GUESS_PENALTY * wrongGuesses -
+    SCORE_HINT_PENALTY * room.hintsUsed;
+  return Math.max(SCORE_MIN, Math.round(points));
+}
+
+function addPoints(room, name, points) {
+  room.scores[name] = (room.scores[name] || 0) + points;
+}
+
+function getScoreboard(room) {
+  return Object.entries(room.scores)
+    .map(([name, points]) => ({ name, points }))
+    .sort((a, b) => b.points - a.points);
+}
+
+function sendScoreboard(room) {
+  sendToWeb(room, {
+    type: "scoreboard",
+    scores: getScoreboard(room),
+  });
+}
+
+function describeScores(room) {
+  const scores = getScoreboard(room);
+  if (scores.length === 0) {
+    return "Nobody has scored yet. Guess a word to get on the board.";
   }
+  const parts = scores.map(
+    (entry) => `${entry.name}, ${entry.points} point${entry.points === 1 ? "" : "s"}`
+  );
+  return `Current scores: ${parts.join(". ")}.`;
+}
+
+function sendPictionaryStart(room, player) {
+  const drawer = getDrawer(room);
+  const payload = { type: "pictionaryStart", drawer: drawer ? drawer.name : null };
+  if (player === drawer) payload.word = room.targetWord;
+  player.socket.send(JSON.stringify(payload));
 }
 
 async function startPictionary(room, explicitWord = null) {
   room.mode = "pictionary";
-  room.targetWord = explicitWord || pickRandomWord(PICTIONARY_WORDS);
-  room.drawSegments = []; // reset drawing for new round
+  room.targetWord = explicitWord || pickBankWord(room);
+  rememberWord(room, room.targetWord);
+  resetDrawing(room); // reset drawing for new round
+  room.wrongGuesses = {};
+  room.roundGuesses = [];
+  room.hintStep = 0;
+  room.hintsUsed = 0;
 
   // Phone instructions
   sendToPhone(
     room,
-    `Great choice. Your word has been selected. Your partner will draw something on their screen. Try to guess what it is by saying your guesses out loud.`
+    `Great choice. Your word has been selected. ${ROUND_INSTRUCTIONS} You have ${room.roundDuration} seconds.`
   );
 
-  // Web instructions
-  sendToWeb(room, {
-    type: "pictionaryStart",
-    word: room.targetWord,
-  });
+  // Web instructions, only the drawer gets to see the word
+  for (const player of room.players) {
+    if (player.kind === "web") sendPictionaryStart(room, player);
+  }
+
+  startRoundTimer(room);
+  saveRoom(room);
 }
 
-function backToMenu(room) {
+// nextDrawer: who should draw next round if the room rotates roles
+function backToMenu(room, nextDrawer = null) {
+  stopRoundTimer(room);
+  if (room.rotateRoles) rotateDrawer(room, nextDrawer);
   room.mode = "menu";
   room.targetWord = null;
   room.theme = null;
+  saveRoom(room);
 
-  sendToPhone(
-    room,
-    "Round complete. Say a theme for the next word (for example: animals, Halloween, space, food), or say Random for any word, or say Quit to end the call."
-  );
+  sendToPhone(room, `Round complete. ${MENU_INSTRUCTIONS}`);
   sendToWeb(room, {
     type: "menu",
   });
 }
 
-async function handlePhonePrompt(room, textRaw) {
-  const text = (textRaw || "").toLowerCase().trim();
-  if (!text) return;
+// First correct guess from any phone or web guesser wins the round
+function handleGuess(room, player, textRaw) {
+  const outcome = matchGuess(textRaw, room.targetWord, GUESS_MATCH_OPTIONS);
+  room.roundGuesses.push({
+    time: Date.now() - room.drawingStartedAt,
+    player: player.name,
+    guess: textRaw,
+    outcome,
+  });
 
-  // Exit / Quit ends the call
-  if (text.includes("quit") || text.includes("exit")) {
-    sendToPhone(
-      room,
-      "Thanks for joining. We here at the Pictionary Hotline appreciate that you had better ways to use your time. Goodbye."
-    );
-    if (room.phoneSocket) room.phoneSocket.close();
+  if (outcome === "correct") {
+    const word = room.targetWord;
+    const points = calculateRoundPoints(room, player);
+    addPoints(room, player.name, points);
+
+    const drawer = getDrawer(room);
+    if (drawer) addPoints(room, drawer.name, Math.round(points * DRAWER_SHARE));
+
+    const archived = archiveRound(room, {
+      outcome: "correct",
+      winner: player.name,
+      drawer: drawer ? drawer.name : null,
+    });
+
+    for (const caller of getPhonePlayers(room)) {
+      sendSpeech(
+        caller.socket,
+        caller === player
+          ? `You got it! The word was ${word}. Nice job! That's ${points} points.`
+          : `${player.name} got it first! The word was ${word}.`
+      );
+    }
+    sendToWeb(room, {
+      type: "roundResult",
+      outcome: "correct",
+      word,
+      points,
+      winner: player.name,
+      galleryId: archived ? archived.id : null,
+    });
+    sendScoreboard(room);
+    backToMenu(room, player);
     return;
   }
 
-  if (room.mode === "menu") {
-    // Use the first word heard as the Theme
-    room.theme = textRaw;
+  room.wrongGuesses[player.name] = (room.wrongGuesses[player.name] || 0) + 1;
+  saveRoom(room);
+
+  if (player.kind === "phone") {
+    sendSpeech(
+      player.socket,
+      outcome === "warm"
+        ? "So close! Try again."
+        : "Not quite right. Guess again."
+    );
+  } else {
+    // Callers can't see the web guesses, so read them out
     sendToPhone(
       room,
-      `Nice theme! We will find a word related to: ${textRaw} for the Drawer to draw.`
+      `${player.name} guessed ${textRaw}. ${outcome === "warm" ? "So close!" : "Not quite."}`
     );
+  }
+  sendToWeb(room, {
+    type: "guess",
+    guess: textRaw,
+    player: player.name,
+    correct: false,
+    outcome,
+  });
+}
 
-    const word = await generatePictionaryWord(textRaw);
-    await startPictionary(room, word);
-    return;
+// AI clue for the last hint, checked like any other AI text
+async function generateClue(room, word, theme) {
+  // Shares the per-room AI budget with word generation
+  if (!withinLimit(limits.ai, room.id, { roomId: room.id })) return null;
+
+  try {
+    const clue = await wordProvider.generateClue({ word, theme });
+    if (!clue) return null;
+
+    const check = await moderator.checkClue(clue, { familyFriendly: room.familyFriendly });
+    if (!check.ok) {
+      console.warn(`${wordProvider.name} clue rejected (${check.reason})`);
+      return null;
+    }
+    return clue;
+  } catch (err) {
+    console.error(`Error generating a clue with ${wordProvider.name}:`, err.message);
+    return null;
   }
+}
 
-  if (room.mode === "pictionary") {
-    const target = (room.targetWord || "").toLowerCase();
-    const normalized = text.replace(/[^\w\s]/g, " ");
+// Next hint for the round, read to the phones and shown in the web log
+async function giveHint(room, player) {
+  if (room.givingHint) return;
+  room.givingHint = true;
+  const word = room.targetWord;
 
-    if (target && normalized.includes(target.split(" ")[0])) {
-      sendToPhone(
-        room,
-        `You got it! The word was ${room.targetWord}. Nice job!`
-      );
-      sendToWeb(room, {
-        type: "roundResult",
-        outcome: "correct",
-        word: room.targetWord,
-      });
-      backToMenu(room);
-    } else {
-      sendToPhone(room, "Not quite right. Guess again.");
-      sendToWeb(room, {
-        type: "guess",
-        guess: textRaw,
-        correct: false,
-      });
+  try {
+    const spokenTheme = room.theme && !/random/i.test(room.theme) ? room.theme : null;
+    const category = wordBank.themeOf(word) || spokenTheme;
+    const hint = await nextHint(room.hintStep, {
+      word,
+      category,
+      generateClue: wordProvider ? () => generateClue(room, word, category) : null,
+    });
+
+    // The round ended while the clue was being generated
+    if (room.mode !== "pictionary" || room.targetWord !== word) return;
+
+    if (!hint) {
+      sendNotice(player, "That's all the hints I've got. Keep guessing!");
+      return;
     }
+
+    room.hintStep = hint.nextStep;
+    room.hintsUsed += 1;
+    saveRoom(room);
+
+    sendToPhone(room, `Hint ${room.hintsUsed}, asked for by ${player.name}: ${hint.text}`);
+    sendToWeb(room, {
+      type: "hint",
+      text: hint.text,
+      number: room.hintsUsed,
+      player: player.name,
+      penalty: SCORE_HINT_PENALTY,
+    });
+  } catch (err) {
+    fastify.log.error({ err, roomId: room.id, player: player.name }, "Failed to give a hint");
+    sendNotice(player, "Sorry, I couldn't come up with a hint. Keep guessing!");
+  } finally {
+    room.givingHint = false;
   }
 }
 
-// --Fastify setup--
-const fastify = Fastify({ logger: true });
-fastify.register(fastifyWs);
+// "hint" from a phone or web guesser
+async function requestHint(room, player) {
+  if (room.mode !== "pictionary") {
+    sendNotice(player, "Hints are only available during a round. Say a theme to start one.");
+    return;
+  }
+  await giveHint(room, player);
+}
 
-/**
- * HOME PAGE: Choose role and enter numeric room code to create instance
- */
+// "repeat": the last thing said to whoever asked, or the instructions for
+// wherever the game is when nothing was
+function repeatInstructions(room, player) {
+  const last = lastSpoken.get(player.socket);
+  if (last) {
+    sendNotice(player, last);
+    return;
+  }
+  if (room.mode !== "pictionary") {
+    sendNotice(player, MENU_INSTRUCTIONS);
+    return;
+  }
+  const secondsLeft = getSecondsLeft(room);
+  const timeLeft = secondsLeft === null ? "" : ` ${secondsLeft} seconds left.`;
+  sendNotice(player, `${ROUND_INSTRUCTIONS}${timeLeft}`);
+}
+
+// skip / give up / repeat from a phone or web guesser
+async function handleCommand(room, player, command) {
+  if (command === "repeat") {
+    repeatInstructions(room, player);
+    return;
+  }
+
+  if (room.mode !== "pictionary") {
+    sendNotice(
+      player,
+      room.pickingWord
+        ? "Hang on, we're picking a word."
+        : "There's no round right now. Say a theme to start one."
+    );
+    return;
+  }
+
+  if (command === "skip") await skipWord(room, player);
+  else if (command === "giveUp") giveUpRound(room, player);
+}
+
+async function handlePhonePrompt(room, player, textRaw) {
+  const text = (textRaw || "").toLowerCase().trim();
+  if (!text) return;
+
+  // Exit / Quit ends this caller's call
+  if (text.includes("quit") || text.includes("exit")) {
+    sendSpeech(
+      player.socket,
+      "Thanks for joining. We here at the Pictionary Hotline appreciate that you had better ways to use your time. Goodbye."
+    );
+    player.socket.close();
+    return;
+  }
+
+  // "Score" reads out the scoreboard (short phrases only, so it isn't taken from a long guess)
+  if (/\bscores?(board)?\b/.test(text) && text.split(/\s+/).length <= 4) {
+    sendSpeech(player.socket, describeScores(room));
+    return;
+  }
+
+  if (isHintRequest(text)) {
+    await requestHint(room, player);
+    return;
+  }
+
+  const command = matchCommand(text);
+  if (command) {
+    await handleCommand(room, player, command);
+    return;
+  }
+
+  if (room.mode === "menu") {
+    await chooseTheme(room, player, textRaw);
+    return;
+  }
+
+  if (room.mode === "pictionary") {
+    handleGuess(room, player, textRaw);
+  }
+}
+
+// Guess box on the /play page, works like speaking into the phone
+async function handleWebAnswer(room, player, textRaw) {
+  const text = (textRaw || "").toString().trim().slice(0, MAX_WEB_GUESS_LENGTH);
+  if (!text || player.role !== "guesser") return;
+
+  if (isHintRequest(text)) {
+    await requestHint(room, player);
+    return;
+  }
+
+  const command = matchCommand(text);
+  if (command) {
+    await handleCommand(room, player, command);
+    return;
+  }
+
+  // Without anyone on the phone, web guessers pick the theme too
+  if (room.mode === "menu") {
+    await chooseTheme(room, player, text);
+    return;
+  }
+
+  if (room.mode === "pictionary") {
+    handleGuess(room, player, text);
+  }
+}
+
+async function chooseTheme(room, player, textRaw) {
+  // Someone already picked a theme, don't start a second round
+  if (room.pickingWord) {
+    sendNotice(player, "Hang on, we're already picking a word.");
+    return;
+  }
+
+  room.pickingWord = true;
+
+  try {
+    // Checked before it is read out loud or put in the AI prompt
+    let theme = textRaw;
+    const check = await moderator.checkTheme(textRaw, { familyFriendly: room.familyFriendly });
+
+    // Nothing wrong with it, just too much of it: let them try again
+    if (check.tooLong) {
+      sendToPhone(room, `That theme is a bit long, ${player.name}. A shorter theme, please.`);
+      sendToWeb(room, {
+        type: "notice",
+        text: player.name + "'s theme was too long, waiting for a shorter one.",
+      });
+      return;
+    }
+
+    if (check.ok) {
+      sendToPhone(
+        room,
+        `Nice theme from ${player.name}! We will find a word related to: ${textRaw} for the Drawer to draw.`
+      );
+      sendToWeb(room, {
+        type: "notice",
+        text: player.name + " picked the theme: " + textRaw,
+      });
+    } else {
+      fastify.log.warn({ roomId: room.id, reason: check.reason }, "Rejected theme");
+      theme = "random";
+      sendToPhone(
+        room,
+        `Let's keep it friendly, ${player.name}. I'll pick a random word for the Drawer instead.`
+      );
+      sendToWeb(room, {
+        type: "notice",
+        text: player.name + "'s theme wasn't allowed, picking a random word instead.",
+      });
+    }
+
+    // Use the first word heard as the Theme
+    room.theme = theme;
+    saveRoom(room);
+
+    const word = await generatePictionaryWord(room, theme);
+    await startPictionary(room, word);
+  } catch (err) {
+    wordPickFailed(room, player, err);
+  } finally {
+    room.pickingWord = false;
+  }
+}
+
+// --Fastify setup--
+// Behind ngrok/Render request.ip has to come from X-Forwarded-For, or every
+// player shares the proxy's IP (and its rate limits). Only the entries our own
+// proxies added count, anything left of them was sent by the client, so this is
+// a number of hops: TRUST_PROXY_HOPS, 1 by default when NGROK_URL is set.
+const TRUST_PROXY_HOPS = readProxyHops(process.env.TRUST_PROXY_HOPS);
+
+function readProxyHops(raw) {
+  const hops = Number(raw);
+  if (raw && Number.isInteger(hops) && hops >= 0) return hops;
+  return DOMAIN === "localhost" ? 0 : 1;
+}
+
+// PINs, host and relay tokens and keypad digits stay out of the logs
+const SECRET_QUERY_PARAMS = ["pin", "host", "token", "Digits"];
+
+function redactUrl(url = "") {
+  const queryStart = url.indexOf("?");
+  if (queryStart === -1) return url;
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  for (const key of SECRET_QUERY_PARAMS) {
+    if (params.has(key)) params.set(key, "redacted");
+  }
+  return `${url.slice(0, queryStart + 1)}${params}`;
+}
+
+const fastify = Fastify({
+  logger: {
+    serializers: {
+      // Fastify's own request log line, with redactUrl
+      req: (request) => ({
+        method: request.method,
+        url: redactUrl(request.url),
+        host: request.host,
+        remoteAddress: request.ip,
+        remotePort: request.socket ? request.socket.remotePort : undefined,
+      }),
+    },
+  },
+  bodyLimit: MAX_HTTP_BODY_BYTES,
+  trustProxy: TRUST_PROXY_HOPS > 0 ? TRUST_PROXY_HOPS : false,
+});
+fastify.register(fastifyWs, { options: { maxPayload: MAX_WS_PAYLOAD_BYTES } });
+
+// Twilio's webhooks and the ConversationRelay socket all come from Twilio's
+// servers, for every call at once. With TWILIO_AUTH_TOKEN they are checked by
+// signature instead; without it anyone can call them, so they stay limited.
+const TWILIO_ROUTES = new Set(["/twiml", "/start-relay", "/ws"]);
+
+// Every other HTTP request (web WebSocket upgrades included) counts against the IP
+fastify.addHook("onRequest", async (request, reply) => {
+  if (TWILIO_AUTH_TOKEN && TWILIO_ROUTES.has(request.routeOptions.url)) return;
+  if (withinLimit(limits.http, request.ip, { ip: request.ip, url: redactUrl(request.url) })) return;
+  return reply.code(429).send({ error: "Too many requests, slow down." });
+});
+
+// Drawings (SVG, PNG and replay data) are the most expensive thing a visitor can ask for
+async function limitExports(request, reply) {
+  if (withinLimit(limits.exports, request.ip, { ip: request.ip, url: redactUrl(request.url) })) return;
+  return reply.code(429).send({ error: "Too many downloads, try again in a moment." });
+}
+
+/**
+ * HOME PAGE: Choose role and enter numeric room code to create instance
+ */
 fastify.get("/", async (request, reply) => {
   reply.type("text/html").send(`
 <!doctype html>
@@ -275,6 +1275,12 @@ fastify.get("/", async (request, reply) => {
       .room-input::placeholder {
         letter-spacing: 0;
       }
+      .name-input {
+        width: 100%;
+        box-sizing: border-box;
+        margin-top: 10px;
+        letter-spacing: normal;
+      }
       .small-button {
         padding: 7px 10px;
         border-radius: 10px;
@@ -311,6 +1317,10 @@ fastify.get("/", async (request, reply) => {
         background: #f97316;
         color: #020617;
       }
+      .spectator-btn {
+        margin-top: 10px;
+        width: 100%;
+      }
       .role-caption {
         font-size: 0.8rem;
         opacity: 0.85;
@@ -343,6 +1353,22 @@ fastify.get("/", async (request, reply) => {
         <div class="note">
           Share this code with your friend. The caller will enter it on the phone keypad, and the drawer will enter it here.
         </div>
+        <input
+          id="nameInput"
+          class="room-input name-input"
+          maxlength="20"
+          placeholder="Your name (optional, shown on the scoreboard)"
+        />
+        <input
+          id="pinInput"
+          class="room-input name-input"
+          maxlength="8"
+          inputmode="numeric"
+          placeholder="Room PIN (optional, 4–8 digits)"
+        />
+        <div class="note">
+          The first drawer in a room becomes its host. A PIN entered by the host locks the room, everyone else needs the same PIN to join.
+        </div>
       </div>
 
       <div class="section-title">2. Pick your role</div>
@@ -364,14 +1390,20 @@ fastify.get("/", async (request, reply) => {
         <div class="note">
           The caller dials the hotline and enters the same room code on their keypad. The drawer just clicks their role with the same code.
         </div>
+        <button id="spectatorBtn" class="small-button spectator-btn">
+          Just watching? Join as a spectator
+        </button>
       </div>
     </div>
 
     <script>
       const roomInput = document.getElementById("roomInput");
+      const nameInput = document.getElementById("nameInput");
       const randomCodeBtn = document.getElementById("randomCodeBtn");
       const callerBtn = document.getElementById("callerBtn");
       const drawerBtn = document.getElementById("drawerBtn");
+      const spectatorBtn = document.getElementById("spectatorBtn");
+      const pinInput = document.getElementById("pinInput");
 
       function normalizeRoomCode() {
         const raw = (roomInput.value || "").trim();
@@ -389,6 +1421,16 @@ fastify.get("/", async (request, reply) => {
         return code;
       }
 
+      function playUrl(role, code) {
+        let url = "/play?role=" + role + "&roomId=" + encodeURIComponent(code);
+        const name = (nameInput.value || "").trim();
+        if (name) url += "&name=" + encodeURIComponent(name);
+        // The PIN goes to the game page through sessionStorage, never in the URL
+        const pin = (pinInput.value || "").replace(/\\D/g, "");
+        if (pin) sessionStorage.setItem("pictionary-pin-" + code, pin);
+        return url;
+      }
+
       randomCodeBtn.addEventListener("click", () => {
         const code = Math.floor(1000 + Math.random() * 9000).toString();
         roomInput.value = code;
@@ -396,12 +1438,21 @@ fastify.get("/", async (request, reply) => {
 
       callerBtn.addEventListener("click", () => {
         const code = ensureRoomCode();
-        window.location.href = "/play?role=caller&roomId=" + encodeURIComponent(code);
+        window.location.href = playUrl("caller", code);
       });
 
       drawerBtn.addEventListener("click", () => {
         const code = ensureRoomCode();
-        window.location.href = "/play?role=drawer&roomId=" + encodeURIComponent(code);
+        window.location.href = playUrl("drawer", code);
+      });
+
+      spectatorBtn.addEventListener("click", () => {
+        const code = normalizeRoomCode();
+        if (!code) {
+          roomInput.focus();
+          return;
+        }
+        window.location.href = playUrl("spectator", code);
       });
     </script>
   </body>
@@ -418,6 +1469,7 @@ fastify.get("/play", async (request, reply) => {
 <html>
   <head>
     <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
     <title>Pictionary Hotline</title>
 
     <style>
@@ -444,6 +1496,17 @@ fastify.get("/play", async (request, reply) => {
         gap: 24px;
       }
 
+      /* Tablets in portrait and phones: canvas on top, info below */
+      @media (max-width: 760px) {
+        .card {
+          grid-template-columns: 1fr;
+          border-radius: 0;
+        }
+        .card > div:last-child {
+          order: -1;
+        }
+      }
+
       h1 {
         margin: 0 0 8px;
         font-size: 1.6rem;
@@ -488,13 +1551,19 @@ fastify.get("/play", async (request, reply) => {
         margin-bottom: 12px;
       }
 
+      /* Fixed aspect ratio so normalized drawings look the same on every screen */
       canvas {
         width: 100%;
-        height: 260px;
+        aspect-ratio: 16 / 10;
+        height: auto;
         border-radius: 12px;
         background: #0b1120;
         border: 1px dashed rgba(148,163,184,0.4);
         cursor: crosshair;
+        /* Stop touch drags from scrolling or zooming the page while drawing */
+        touch-action: none;
+        -webkit-user-select: none;
+        user-select: none;
       }
 
       .word-pill {
@@ -549,6 +1618,11 @@ fastify.get("/play", async (request, reply) => {
         cursor: pointer;
       }
 
+      .join-gate {
+        margin-top: 12px;
+        border-color: #f97316;
+      }
+
       .back-row {
         margin-top: 4px;
       }
@@ -590,6 +1664,93 @@ fastify.get("/play", async (request, reply) => {
         opacity: 0.35;
         cursor: default;
       }
+
+      .small-outline-button.active {
+        background: rgba(249,115,22,0.25);
+        border-color: #f97316;
+      }
+
+      .toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 6px;
+      }
+
+      .palette {
+        display: flex;
+        gap: 4px;
+      }
+
+      .swatch {
+        width: 20px;
+        height: 20px;
+        border-radius: 999px;
+        border: 2px solid transparent;
+        cursor: pointer;
+        padding: 0;
+      }
+
+      .swatch.active {
+        border-color: #e5e7eb;
+      }
+
+      .tool-label {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 0.75rem;
+        color: #9ca3af;
+      }
+
+      .timer-row {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 12px;
+        font-size: 0.8rem;
+        color: #9ca3af;
+      }
+
+      .timer {
+        font-size: 1.1rem;
+        font-weight: 600;
+        font-variant-numeric: tabular-nums;
+        color: #a5f3fc;
+      }
+
+      .timer.warning {
+        color: #f87171;
+      }
+
+      .scoreboard {
+        font-size: 0.85rem;
+      }
+
+      .scoreboard table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+
+      .scoreboard td {
+        padding: 2px 0;
+      }
+
+      .scoreboard td.points {
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+        color: #a5f3fc;
+      }
+
+      .duration-select {
+        padding: 3px 6px;
+        border-radius: 8px;
+        border: 1px solid rgba(148,163,184,0.5);
+        background: #020617;
+        color: #e5e7eb;
+        font-size: 0.75rem;
+      }
     </style>
   </head>
   <body>
@@ -603,10 +1764,35 @@ fastify.get("/play", async (request, reply) => {
         <div id="roomTag" class="room-tag"></div>
         <div class="back-row">
           <button id="backHome" class="back-button">← Back to home</button>
+          <a id="galleryLink" class="back-button" target="_blank" style="text-decoration:none;">Round gallery</a>
+        </div>
+
+        <div id="joinGate" class="panel join-gate" style="display:none;">
+          <div id="joinGateMessage"></div>
+          <div id="joinGatePinRow" class="chat-row" style="display:none;">
+            <input id="joinGatePin" class="chat-input" maxlength="8" inputmode="numeric" placeholder="Room PIN" />
+            <button id="joinGatePinBtn" class="chat-button">Join</button>
+          </div>
+          <button id="joinAsGuesserBtn" class="small-outline-button" style="display:none; margin-top:8px;">
+            Join as a guesser instead
+          </button>
         </div>
 
         <div class="panel" id="roleInfoPanel" style="margin-top:12px; font-size:0.8rem; color:#9ca3af;"></div>
 
+        <div id="hostPanel" style="display:none;">
+          <div class="section-title">Room host</div>
+          <div class="panel">
+            <div id="pinStatus" style="font-size:0.8rem; color:#9ca3af;"></div>
+            <div class="chat-row">
+              <input id="pinSetInput" class="chat-input" maxlength="8" inputmode="numeric" placeholder="New PIN (4–8 digits)" />
+              <button id="pinSetBtn" class="chat-button">Set PIN</button>
+              <button id="pinClearBtn" class="small-outline-button">Remove</button>
+            </div>
+            <div id="drawerRequests"></div>
+          </div>
+        </div>
+
         <div class="section-title">How to play</div>
         <div class="panel">
           <ol id="howToList" style="padding-left: 18px; margin: 0; font-size: 0.85rem;">
@@ -619,6 +1805,11 @@ fastify.get("/play", async (request, reply) => {
           Connecting to game server...
         </div>
 
+        <div class="section-title">Scoreboard</div>
+        <div id="scoreboard" class="panel scoreboard">
+          No points yet.
+        </div>
+
         <div class="section-title">Event log</div>
         <div id="log" class="panel log"></div>
       </div>
@@ -629,13 +1820,78 @@ fastify.get("/play", async (request, reply) => {
         <div id="roundInfo" class="panel">
           Waiting for caller to connect...
         </div>
+        <div class="timer-row">
+          <span>Time left: <span id="timer" class="timer">--:--</span></span>
+          <label id="familyLabel">
+            <input id="familyToggle" type="checkbox" checked />
+            Family friendly
+          </label>
+          <label id="rotateLabel">
+            <input id="rotateToggle" type="checkbox" />
+            Rotate drawer
+          </label>
+          <label id="durationLabel">
+            Round length
+            <select id="durationSelect" class="duration-select">
+              <option value="30">30s</option>
+              <option value="60">60s</option>
+              <option value="90">90s</option>
+              <option value="120">2 min</option>
+              <option value="180">3 min</option>
+            </select>
+          </label>
+          <label id="difficultyLabel">
+            Words
+            <select id="difficultySelect" class="duration-select">
+              <option value="mixed">Any difficulty</option>
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+            </select>
+          </label>
+        </div>
+
+        <div id="guessPanel">
+          <div class="section-title">Your guess</div>
+          <div class="panel">
+            <div class="chat-row">
+              <input
+                id="guessInput"
+                class="chat-input"
+                maxlength="100"
+                placeholder="Type a theme to start a round"
+              />
+              <button id="guessSend" class="chat-button">Send</button>
+              <button id="hintBtn" class="small-outline-button" title="Costs points for everyone">Hint</button>
+            </div>
+            <div style="font-size:0.75rem; color:#9ca3af; margin-top:4px;">
+              No phone? Type your guesses here instead of saying them to the hotline.
+              Stuck? Ask for a hint (each one lowers the points for this round).
+            </div>
+          </div>
+        </div>
 
         <div class="section-title">Canvas (for Pictionary)</div>
         <div class="canvas-header">
           <span>Drawing area</span>
-          <button id="clearCanvasBtn" class="small-outline-button">
-            Clear drawing
-          </button>
+          <div>
+            <button id="skipWordBtn" class="small-outline-button" title="Reveal the word and draw a new one">
+              Skip word
+            </button>
+            <button id="clearCanvasBtn" class="small-outline-button">
+              Clear drawing
+            </button>
+          </div>
+        </div>
+        <div id="toolbar" class="toolbar">
+          <div id="palette" class="palette"></div>
+          <label class="tool-label">
+            Brush
+            <input id="brushWidth" type="range" min="1" max="24" value="3" />
+          </label>
+          <button id="eraserBtn" class="small-outline-button">Eraser</button>
+          <button id="undoBtn" class="small-outline-button" title="Undo (Ctrl+Z)">Undo</button>
+          <button id="redoBtn" class="small-outline-button" title="Redo (Ctrl+Shift+Z)">Redo</button>
         </div>
         <canvas id="canvas"></canvas>
 
@@ -651,6 +1907,7 @@ fastify.get("/play", async (request, reply) => {
             <input
               id="chatInput"
               class="chat-input"
+              maxlength="${MAX_CHAT_LENGTH}"
               placeholder="Type a hint to send to the caller. We won't judge you too much for needing this...."
               disabled
             />
@@ -669,8 +1926,16 @@ fastify.get("/play", async (request, reply) => {
 
     <script>
       const params = new URLSearchParams(window.location.search);
-      const role = params.get("role") || "drawer";
+      let role = params.get("role") || "drawer";
+      if (!["drawer", "caller", "spectator"].includes(role)) role = "spectator";
       const roomId = params.get("roomId") || "0000";
+      const playerName = params.get("name") || "";
+
+      // The host token comes back from the server when this browser claims the room
+      const tokenKey = "pictionary-host-" + roomId;
+      // Rotate mode's drawer token, only good for this drawing turn
+      const drawerTokenKey = "pictionary-drawer-" + roomId;
+      const pinKey = "pictionary-pin-" + roomId;
 
       const statusEl = document.getElementById("status");
       const logEl = document.getElementById("log");
@@ -688,6 +1953,43 @@ fastify.get("/play", async (request, reply) => {
       const roomTag = document.getElementById("roomTag");
       const backHome = document.getElementById("backHome");
       const clearCanvasBtn = document.getElementById("clearCanvasBtn");
+      const skipWordBtn = document.getElementById("skipWordBtn");
+      const joinGate = document.getElementById("joinGate");
+      const joinGateMessage = document.getElementById("joinGateMessage");
+      const joinGatePinRow = document.getElementById("joinGatePinRow");
+      const joinGatePin = document.getElementById("joinGatePin");
+      const joinGatePinBtn = document.getElementById("joinGatePinBtn");
+      const joinAsGuesserBtn = document.getElementById("joinAsGuesserBtn");
+      const hostPanel = document.getElementById("hostPanel");
+      const pinStatus = document.getElementById("pinStatus");
+      const pinSetInput = document.getElementById("pinSetInput");
+      const pinSetBtn = document.getElementById("pinSetBtn");
+      const pinClearBtn = document.getElementById("pinClearBtn");
+      const drawerRequestsEl = document.getElementById("drawerRequests");
+      const timerEl = document.getElementById("timer");
+      const durationSelect = document.getElementById("durationSelect");
+      const durationLabel = document.getElementById("durationLabel");
+      const difficultySelect = document.getElementById("difficultySelect");
+      const difficultyLabel = document.getElementById("difficultyLabel");
+      const scoreboardEl = document.getElementById("scoreboard");
+      const rotateToggle = document.getElementById("rotateToggle");
+      const rotateLabel = document.getElementById("rotateLabel");
+      const familyToggle = document.getElementById("familyToggle");
+      const familyLabel = document.getElementById("familyLabel");
+      const guessPanel = document.getElementById("guessPanel");
+      const guessInput = document.getElementById("guessInput");
+      const guessSend = document.getElementById("guessSend");
+      const hintBtn = document.getElementById("hintBtn");
+      const toolbar = document.getElementById("toolbar");
+      const paletteEl = document.getElementById("palette");
+      const brushWidth = document.getElementById("brushWidth");
+      const eraserBtn = document.getElementById("eraserBtn");
+      const undoBtn = document.getElementById("undoBtn");
+      const redoBtn = document.getElementById("redoBtn");
+
+      const PALETTE = ["#f97316", "#ef4444", "#facc15", "#22c55e", "#38bdf8", "#a855f7", "#f9fafb", "#000000"];
+      let brushColor = PALETTE[0];
+      let erasing = false;
 
       if (backHome) {
         backHome.addEventListener("click", () => {
@@ -695,131 +1997,370 @@ fastify.get("/play", async (request, reply) => {
         });
       }
 
+      const galleryLink = document.getElementById("galleryLink");
+      galleryLink.href = "/rooms/" + encodeURIComponent(roomId) + "/gallery";
+      // PIN rooms only show their gallery to players: hand it the PIN or host
+      // token in a cookie for just that gallery, so neither ends up in a URL
+      galleryLink.addEventListener("click", () => {
+        const cookiePath = "; path=/rooms/" + encodeURIComponent(roomId) + "/gallery; SameSite=Strict";
+        const token = localStorage.getItem(tokenKey);
+        const pin = sessionStorage.getItem(pinKey);
+        if (token) document.cookie = "${GALLERY_HOST_COOKIE}=" + token + cookiePath;
+        if (pin) document.cookie = "${GALLERY_PIN_COOKIE}=" + pin + cookiePath;
+      });
+
       let chatEnabled = false;
 
       if (roomTag) {
         roomTag.textContent = "Room code: " + roomId;
       }
 
-      // Clear the default list item
-      if (howToList) {
-        howToList.innerHTML = "";
-      }
+      // Role-specific UI, re-applied when the server swaps roles in rotate mode
+      function applyRole() {
+        // Clear the default list item
+        if (howToList) {
+          howToList.innerHTML = "";
+        }
 
-      if (role === "drawer") {
-        if (roleInfoPanel) {
-          roleInfoPanel.textContent =
-            "You are the DRAWER. You will be given a word to draw for the caller in this room.";
+        if (chatPanel) {
+          chatPanel.style.display = "";
         }
 
-        if (howToList) {
-          const items = [
-            "Have your friend, or whoever else you're playing with, call the Pictionary Hotline number +1(559)524-4505.",
-            "Tell them to enter the room code " + roomId + " on their phone keypad when prompted.",
-            "They will then be asked for a theme, which will be used to prompt AI to choose the word you draw (So blame them for whatever word you get).",
-            "Draw or describe the word (without saying the word itself) so they can guess. You can also enable chat to type hints that will be read out to the caller."
-          ];
-          howToList.innerHTML = items.map((text) => "<li>" + text + "</li>").join("");
+        if (role === "drawer") {
+          if (roleInfoPanel) {
+            roleInfoPanel.textContent =
+              "You are the DRAWER. You will be given a word to draw for the caller in this room.";
+          }
+
+          if (howToList) {
+            const items = [
+              "Have your friend, or whoever else you're playing with, call the Pictionary Hotline number +1(559)524-4505.",
+              "Tell them to enter the room code " + roomId + " on their phone keypad when prompted.",
+              "They will then be asked for a theme, which will be used to prompt AI to choose the word you draw (So blame them for whatever word you get).",
+              "Draw or describe the word (without saying the word itself) so they can guess. You can also enable chat to type hints that will be read out to the caller."
+            ];
+            howToList.innerHTML = items.map((text) => "<li>" + text + "</li>").join("");
+          }
+        } else if (role === "caller") {
+          if (roleInfoPanel) {
+            roleInfoPanel.textContent =
+              "You are the CALLER. The drawer will be illustrating a word for you to guess.";
+          }
+
+          if (chatPanel) {
+            chatPanel.style.display = "none";
+          }
+          setChatEnabled(false);
+
+          if (howToList) {
+            const items = [
+              "Call the Pictionary Hotline number +1(559)524-4505 and enter your room code when prompted. Afterwards you will be prompted for a theme for the pictionary round.",
+              "Watch the drawer illustrate and try to guess what they're drawing. Make sure to speak your guesses into the phone.",
+              "Our super advanced Twilio Hotline assistant will let you know if your guess is correct.",
+              "The drawer has the option to enable chat, to send messages which the Twilio Voice Assistant will read aloud."
+            ];
+            howToList.innerHTML = items.map((text) => "<li>" + text + "</li>").join("");
+          }
         }
-      } else if (role === "caller") {
-        if (roleInfoPanel) {
-          roleInfoPanel.textContent =
-            "You are the CALLER. The drawer will be illustrating a word for you to guess.";
+
+        // Enable clear button only for drawer
+        if (clearCanvasBtn) {
+          if (role === "drawer") {
+            clearCanvasBtn.disabled = false;
+          } else {
+            clearCanvasBtn.disabled = true;
+          }
+        }
+        if (skipWordBtn) {
+          skipWordBtn.style.display = role === "drawer" ? "" : "none";
         }
 
-        if (chatPanel) {
-          chatPanel.style.display = "none";
+        // Only the drawer picks the round length and word difficulty
+        if (durationLabel) {
+          durationLabel.style.display = role === "drawer" ? "" : "none";
+        }
+        if (difficultyLabel) {
+          difficultyLabel.style.display = role === "drawer" ? "" : "none";
         }
 
-        if (howToList) {
-          const items = [
-            "Call the Pictionary Hotline number +1(559)524-4505 and enter your room code when prompted. Afterwards you will be prompted for a theme for the pictionary round.",
-            "Watch the drawer illustrate and try to guess what they're drawing. Make sure to speak your guesses into the phone.",
-            "Our super advanced Twilio Hotline assistant will let you know if your guess is correct.",
-            "The drawer has the option to enable chat, to send messages which the Twilio Voice Assistant will read aloud."
-          ];
-          howToList.innerHTML = items.map((text) => "<li>" + text + "</li>").join("");
+        if (familyLabel) {
+          familyLabel.style.display = role === "drawer" ? "" : "none";
         }
-      }
 
-      // Enable clear button only for drawer
-      if (clearCanvasBtn) {
-        if (role === "drawer") {
-          clearCanvasBtn.disabled = false;
-        } else {
-          clearCanvasBtn.disabled = true;
+        if (rotateLabel) {
+          rotateLabel.style.display = role === "drawer" ? "" : "none";
+        }
+
+        if (role === "spectator") {
+          if (roleInfoPanel) {
+            roleInfoPanel.textContent =
+              "You are SPECTATING. Watch the drawing and the guesses live, the word stays hidden until the round ends.";
+          }
+
+          if (chatPanel) {
+            chatPanel.style.display = "none";
+          }
+          setChatEnabled(false);
+
+          if (howToList) {
+            const items = [
+              "Put this page on a big screen so everyone can follow along.",
+              "The drawing, guesses and round results show up here as they happen.",
+              "Want to play? Go back home and join room " + roomId + " as the Caller or Drawer."
+            ];
+            howToList.innerHTML = items.map((text) => "<li>" + text + "</li>").join("");
+          }
+        }
+
+        // Drawing tools are for the drawer only
+        if (toolbar) {
+          toolbar.style.display = role === "drawer" ? "" : "none";
+        }
+
+        // Guessers can type instead of calling in
+        if (guessPanel) {
+          guessPanel.style.display = role === "caller" ? "" : "none";
         }
       }
 
+      function setGuessPlaceholder(roundActive) {
+        if (!guessInput) return;
+        guessInput.placeholder = roundActive
+          ? "Type your guess"
+          : "Type a theme to start a round";
+      }
+
+      applyRole();
+
       function log(msg) {
         const div = document.createElement("div");
         div.textContent = msg;
         logEl.prepend(div);
       }
 
+      function renderScoreboard(scores) {
+        if (!scoreboardEl) return;
+        if (!scores || scores.length === 0) {
+          scoreboardEl.textContent = "No points yet.";
+          return;
+        }
+        const table = document.createElement("table");
+        scores.forEach((entry) => {
+          const row = table.insertRow();
+          row.insertCell().textContent = entry.name;
+          const pointsCell = row.insertCell();
+          pointsCell.className = "points";
+          pointsCell.textContent = entry.points;
+        });
+        scoreboardEl.innerHTML = "";
+        scoreboardEl.appendChild(table);
+      }
+
+      function renderTimer(remaining) {
+        if (!timerEl) return;
+        if (remaining === null || remaining === undefined) {
+          timerEl.textContent = "--:--";
+          timerEl.classList.remove("warning");
+          return;
+        }
+        const minutes = Math.floor(remaining / 60);
+        const seconds = remaining % 60;
+        timerEl.textContent = minutes + ":" + (seconds < 10 ? "0" : "") + seconds;
+        timerEl.classList.toggle("warning", remaining <= 10);
+      }
+
+      // Strokes are polylines of normalized (0–1) points [x, y, width], with the
+      // width relative to the canvas width, so every screen size can redraw the
+      // same picture.
+      let strokes = [];
+      let strokesById = new Map();
+      let canvasWidth = 0;
+      let canvasHeight = 0;
+
       function resizeCanvas() {
         const rect = canvas.getBoundingClientRect();
         const ratio = window.devicePixelRatio || 1;
 
+        canvasWidth = rect.width;
+        canvasHeight = rect.height;
         canvas.width = rect.width * ratio;
         canvas.height = rect.height * ratio;
 
         ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.scale(ratio, ratio);
 
-        ctx.lineWidth = 3;
         ctx.lineCap = "round";
-        ctx.strokeStyle = "#f97316";
-      }
 
-      resizeCanvas();
-      window.addEventListener("resize", resizeCanvas);
+        // Resizing wipes the canvas, so draw everything again
+        redrawCanvas();
+      }
 
-      let drawing = false;
-      let lastX = 0;
-      let lastY = 0;
+      // Draw a stroke from point fromIndex onwards (eraser cuts through to the background)
+      function drawStroke(stroke, fromIndex) {
+        const pts = stroke.points;
+        ctx.globalCompositeOperation = stroke.erase ? "destination-out" : "source-over";
+        ctx.strokeStyle = stroke.color || "#f97316";
+
+        // A single tap is a dot
+        const start = pts.length === 1 && fromIndex === 0 ? 0 : Math.max(1, fromIndex);
+        for (let i = start; i < pts.length; i++) {
+          const a = pts[Math.max(0, i - 1)];
+          const b = pts[i];
+          ctx.lineWidth = Math.max(1, ((a[2] + b[2]) / 2) * canvasWidth);
+          ctx.beginPath();
+          ctx.moveTo(a[0] * canvasWidth, a[1] * canvasHeight);
+          ctx.lineTo(b[0] * canvasWidth, b[1] * canvasHeight);
+          ctx.stroke();
+        }
+        ctx.globalCompositeOperation = "source-over";
+      }
 
-      canvas.addEventListener("mousedown", (e) => {
-        if (role !== "drawer") return; // only drawer draws
-        drawing = true;
-        const rect = canvas.getBoundingClientRect();
-        lastX = e.clientX - rect.left;
-        lastY = e.clientY - rect.top;
-      });
+      function redrawCanvas() {
+        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+        strokes.forEach((stroke) => drawStroke(stroke, 0));
+      }
 
-      window.addEventListener("mouseup", () => {
-        drawing = false;
-      });
+      function setStrokes(list) {
+        strokes = list;
+        strokesById = new Map(list.map((stroke) => [stroke.id, stroke]));
+        redrawCanvas();
+      }
 
-      canvas.addEventListener("mousemove", (e) => {
-        if (!drawing || role !== "drawer") return;
+      // Add a batch of points to its stroke and draw just the new part
+      function appendPoints(batch) {
+        let stroke = strokesById.get(batch.strokeId);
+        if (!stroke) {
+          stroke = { id: batch.strokeId, color: batch.color, erase: batch.erase, points: [] };
+          strokes.push(stroke);
+          strokesById.set(stroke.id, stroke);
+        }
+        const from = stroke.points.length;
+        stroke.points.push(...batch.points);
+        drawStroke(stroke, from);
+      }
+
+      // Compact stroke format from initDrawing/redraw (same as src/strokeCodec.js)
+      function decodeStroke(encoded) {
+        const points = [];
+        let x = 0;
+        let y = 0;
+        let w = 0;
+        for (let i = 0; i + 2 < encoded.d.length; i += 3) {
+          x += encoded.d[i];
+          y += encoded.d[i + 1];
+          w += encoded.d[i + 2];
+          points.push([x / 10000, y / 10000, w / 100000]);
+        }
+        return { id: encoded.id, color: encoded.c, erase: encoded.e === 1, points };
+      }
+
+      resizeCanvas();
+      window.addEventListener("resize", resizeCanvas);
 
+      // Pointer position as a fraction of the canvas size
+      function canvasPoint(e) {
         const rect = canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-
-        const x1 = lastX;
-        const y1 = lastY;
-        const x2 = x;
-        const y2 = y;
-
-        // draw locally (for drawer)
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
-        ctx.stroke();
-
-        lastX = x2;
-        lastY = y2;
-
-        // send to server so caller can see it
-        sendToServer({
-          type: "drawSegment",
-          x1,
-          y1,
-          x2,
-          y2,
+        return {
+          x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+          y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+        };
+      }
+
+      function renderPalette() {
+        if (!paletteEl) return;
+        paletteEl.innerHTML = "";
+        PALETTE.forEach((color) => {
+          const swatch = document.createElement("button");
+          swatch.className = "swatch" + (color === brushColor && !erasing ? " active" : "");
+          swatch.style.background = color;
+          swatch.title = color;
+          swatch.addEventListener("click", () => {
+            brushColor = color;
+            setErasing(false);
+          });
+          paletteEl.appendChild(swatch);
         });
+      }
+
+      function setErasing(enabled) {
+        erasing = enabled;
+        if (eraserBtn) eraserBtn.classList.toggle("active", enabled);
+        renderPalette();
+      }
+
+      renderPalette();
+
+      let activeStroke = null; // { strokeId, color, erase } while drawing
+      let pendingPoints = []; // points not yet sent to the server
+      let activePointerId = null; // only one finger/pen draws at a time
+      let penSeen = false; // once a pen is used, ignore touches (palm rejection)
+
+      // Pen pressure scales the brush between 30% and 170%; mouse and touch use the slider value
+      function brushPxFor(e) {
+        const base = Number(brushWidth ? brushWidth.value : 3);
+        if (e.pointerType !== "pen" || !e.pressure) return base;
+        return base * (0.3 + e.pressure * 1.4);
+      }
+
+      function addPoint(e) {
+        const { x, y } = canvasPoint(e);
+        const point = [
+          Math.round(x * 10000) / 10000,
+          Math.round(y * 10000) / 10000,
+          Math.round((brushPxFor(e) / canvasWidth) * 100000) / 100000,
+        ];
+
+        // draw locally (for drawer), send later in a batch
+        appendPoints({ ...activeStroke, points: [point] });
+        pendingPoints.push(point);
+      }
+
+      // Send the points gathered since the last frame as one message
+      function flushStroke() {
+        if (!activeStroke || pendingPoints.length === 0) return;
+        sendToServer({ type: "strokePoints", ...activeStroke, points: pendingPoints });
+        pendingPoints = [];
+      }
+
+      setInterval(flushStroke, 1000 / ${STROKE_BATCH_FPS});
+
+      canvas.addEventListener("pointerdown", (e) => {
+        if (role !== "drawer") return; // only drawer draws
+        if (e.pointerType === "pen") penSeen = true;
+        if (e.pointerType === "touch" && penSeen) return;
+        // A second finger while drawing is a pinch or a palm, not a new stroke
+        if (activePointerId !== null) return;
+
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+        activePointerId = e.pointerId;
+        // Every stroke gets its own id, which is what undo removes
+        activeStroke = {
+          strokeId: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+          color: brushColor,
+          erase: erasing,
+        };
+        addPoint(e);
+      });
+
+      function endStroke(e) {
+        if (e.pointerId !== activePointerId) return;
+        flushStroke();
+        activeStroke = null;
+        activePointerId = null;
+      }
+
+      canvas.addEventListener("pointerup", endStroke);
+      canvas.addEventListener("pointercancel", endStroke);
+      canvas.addEventListener("lostpointercapture", endStroke);
+
+      canvas.addEventListener("pointermove", (e) => {
+        if (!activeStroke || role !== "drawer" || e.pointerId !== activePointerId) return;
+        e.preventDefault();
+
+        // Pens report more points than pointermove fires, use them all for smooth lines
+        const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (events.length ? events : [e]).forEach(addPoint);
       });
 
       function setChatEnabled(enabled) {
@@ -844,13 +2385,65 @@ fastify.get("/play", async (request, reply) => {
       const protocol = window.location.protocol === "https:" ? "wss" : "ws";
       const ws = new WebSocket(protocol + "://" + window.location.host + "/ws-web");
 
+      function joinRoom() {
+        ws.send(
+          JSON.stringify({
+            type: "joinWeb",
+            roomId,
+            role,
+            name: playerName,
+            token: localStorage.getItem(tokenKey) || undefined,
+            drawerToken: sessionStorage.getItem(drawerTokenKey) || undefined,
+            pin: sessionStorage.getItem(pinKey) || undefined,
+          })
+        );
+      }
+
       ws.addEventListener("open", () => {
         statusEl.textContent = "Connected. Waiting for caller to pick a theme.";
         log("Connected to game server.");
 
-        ws.send(JSON.stringify({ type: "joinWeb", roomId, role }));
+        joinRoom();
       });
 
+      // Wrong or missing PIN, drawer slot taken, or waiting for the host
+      function showJoinGate(msg) {
+        joinGate.style.display = "";
+        joinGateMessage.textContent = msg.message;
+        const needsPin = msg.reason === "pinRequired" || msg.reason === "badPin";
+        joinGatePinRow.style.display = needsPin ? "" : "none";
+        const canGuessInstead =
+          role === "drawer" && (msg.reason === "drawerClaimed" || msg.reason === "denied");
+        joinAsGuesserBtn.style.display = canGuessInstead ? "" : "none";
+        if (msg.reason === "badPin") sessionStorage.removeItem(pinKey);
+        statusEl.textContent = msg.message;
+        log(msg.message);
+      }
+
+      function addDrawerRequest(msg) {
+        const row = document.createElement("div");
+        row.className = "chat-row";
+        row.dataset.requestId = msg.requestId;
+
+        const label = document.createElement("span");
+        label.style.flex = "1";
+        label.textContent = msg.name + " wants to draw.";
+        row.appendChild(label);
+
+        for (const allow of [true, false]) {
+          const button = document.createElement("button");
+          button.className = "small-outline-button";
+          button.textContent = allow ? "Let them draw" : "No";
+          button.addEventListener("click", () => {
+            sendToServer({ type: "answerDrawerRequest", requestId: msg.requestId, allow });
+          });
+          row.appendChild(button);
+        }
+
+        drawerRequestsEl.appendChild(row);
+        log(msg.name + " asked to take over the drawing.");
+      }
+
       ws.addEventListener("close", () => {
         statusEl.textContent = "Disconnected from server.";
         log("Disconnected from server.");
@@ -864,7 +2457,34 @@ fastify.get("/play", async (request, reply) => {
           return;
         }
 
+        if (msg.type === "joinRejected" || msg.type === "joinPending") {
+          showJoinGate(msg);
+        }
+
+        if (msg.type === "hostToken") {
+          localStorage.setItem(tokenKey, msg.token);
+          log("You are the host of room " + roomId + ". This browser can always come back as the drawer.");
+        }
+
+        if (msg.type === "host") {
+          hostPanel.style.display = "";
+          pinStatus.textContent = msg.pinSet
+            ? "This room is locked with a PIN."
+            : "No PIN, anyone with the room code can join as a guesser.";
+        }
+
+        if (msg.type === "drawerRequest") {
+          addDrawerRequest(msg);
+        }
+
+        if (msg.type === "drawerRequestClosed") {
+          const row = drawerRequestsEl.querySelector('[data-request-id="' + msg.requestId + '"]');
+          if (row) row.remove();
+        }
+
         if (msg.type === "status") {
+          // Only players in the room get status updates
+          joinGate.style.display = "none";
           statusEl.textContent = msg.message;
           log("Status: " + msg.message);
         }
@@ -872,183 +2492,1475 @@ fastify.get("/play", async (request, reply) => {
         if (msg.type === "menu") {
           roundInfoEl.textContent =
             "Caller is choosing the theme. They can say virtually anything so blame them (and OpenAI) for whatever word you get.";
+          renderTimer(null);
+          setGuessPlaceholder(false);
           log("Back to menu.");
         }
 
+        if (msg.type === "timer") {
+          renderTimer(msg.remaining);
+        }
+
+        if (msg.type === "scoreboard") {
+          renderScoreboard(msg.scores);
+        }
+
+        if (msg.type === "notice") {
+          log(msg.text);
+        }
+
+        if (msg.type === "hint") {
+          log(
+            "Hint " + msg.number + " (asked for by " + msg.player + ", -" + msg.penalty + " points): " + msg.text
+          );
+        }
+
+        if (msg.type === "roundDuration" && durationSelect) {
+          const value = String(msg.seconds);
+          // Keep server-side values that aren't one of the presets selectable
+          if (![...durationSelect.options].some((o) => o.value === value)) {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = value + "s";
+            durationSelect.appendChild(option);
+          }
+          durationSelect.value = value;
+        }
+
+        if (msg.type === "difficulty" && difficultySelect) {
+          difficultySelect.value = msg.difficulty;
+        }
+
         // replay existing drawing on join / refresh
         if (msg.type === "initDrawing") {
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
-          msg.segments.forEach((seg) => {
-            ctx.beginPath();
-            ctx.moveTo(seg.x1, seg.y1);
-            ctx.lineTo(seg.x2, seg.y2);
-            ctx.stroke();
-          });
-          log("Replayed existing drawing (" + msg.segments.length + " segments).");
+          setStrokes(msg.strokes.map(decodeStroke));
+          log("Replayed existing drawing (" + msg.strokes.length + " strokes).");
+        }
+
+        // Undo / redo changed the drawing, redraw it from scratch
+        if (msg.type === "redraw") {
+          setStrokes(msg.strokes.map(decodeStroke));
+        }
+
+        // Rotate mode moved this page to a different role
+        if (msg.type === "role") {
+          role = msg.role;
+          if (msg.drawerToken) sessionStorage.setItem(drawerTokenKey, msg.drawerToken);
+          else sessionStorage.removeItem(drawerTokenKey);
+          params.set("role", role);
+          // Keep the new role if the page is refreshed
+          window.history.replaceState(null, "", "?" + params.toString());
+          applyRole();
+          log(role === "drawer" ? "You are drawing next round!" : "You are guessing next round.");
+        }
+
+        if (msg.type === "familyFriendly" && familyToggle) {
+          familyToggle.checked = Boolean(msg.enabled);
+        }
+
+        if (msg.type === "rotateRoles" && rotateToggle) {
+          rotateToggle.checked = Boolean(msg.enabled);
         }
 
         // Start of a Pictionary round
         if (msg.type === "pictionaryStart") {
-          if (role === "drawer") {
+          setGuessPlaceholder(true);
+          if (role === "drawer" && msg.word) {
             // Drawer sees the secret word
             roundInfoEl.innerHTML =
               '<div class="word-pill"><span class="key">Draw</span> <strong>' +
               msg.word +
               '</strong></div><div style="margin-top:8px;font-size:0.8rem;color:#9ca3af">Draw this word. Do NOT say it out loud. Let the caller guess.</div>';
             log("Pictionary started. Word: " + msg.word);
+          } else if (role === "spectator") {
+            roundInfoEl.innerHTML =
+              "<strong>Pictionary round in progress.</strong><br/>" +
+              '<span style="font-size:0.8rem;color:#9ca3af">' +
+              (msg.drawer || "The drawer") +
+              " is drawing. The word is revealed when the round ends." +
+              "</span>";
+            log("Pictionary started (word hidden).");
           } else {
             // Caller does NOT see the word
             roundInfoEl.innerHTML =
               "<strong>Pictionary round in progress.</strong><br/>" +
               '<span style="font-size:0.8rem;color:#9ca3af">' +
-              "Your partner is drawing something. Listen to their clues and try to guess it." +
+              (msg.drawer || "Your partner") +
+              " is drawing something. Listen to their clues and try to guess it." +
               "</span>";
             log("Pictionary started for caller (word hidden).");
           }
 
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
+          setStrokes([]);
         }
 
         if (msg.type === "roundResult") {
+          let heading =
+            msg.outcome === "timeout" ? "Time's up!" : "Round complete!";
+          if (msg.outcome === "skipped") heading = msg.by + " skipped the word.";
+          if (msg.outcome === "gaveUp") heading = msg.by + " gave up.";
+          if (msg.winner) heading = msg.winner + " got it!";
+          const pointsText = msg.points ? " (+" + msg.points + " points)" : "";
           roundInfoEl.innerHTML =
-            "<strong>Round complete!</strong><br/>The word was <strong>" +
+            "<strong>" + heading + "</strong><br/>The word was <strong>" +
             msg.word +
-            "</strong>.";
-          log("Round complete. Word was " + msg.word);
+            "</strong>." +
+            pointsText;
+          renderTimer(null);
+          setGuessPlaceholder(false);
+          log(heading + " Word was " + msg.word + pointsText);
+          if (msg.galleryId) log("Drawing saved to the round gallery.");
         }
 
         if (msg.type === "guess") {
-          log("Caller guessed: " + msg.guess);
+          log(
+            (msg.player || "Caller") +
+              " guessed: " +
+              msg.guess +
+              (msg.outcome === "warm" ? " (so close!)" : "")
+          );
         }
 
         if (msg.type === "drawerChat") {
           if (role === "drawer") {
             log("You (to caller): " + msg.text);
-          } else if (role === "caller") {
+          } else {
             log("Drawer says (read to caller): " + msg.text);
           }
         }
 
-        if (msg.type === "clearCanvas") {
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
-          log("Canvas cleared.");
-        }
+        if (msg.type === "clearCanvas") {
+          setStrokes([]);
+          log("Canvas cleared.");
+        }
+
+        // Everyone but the drawer renders the remote drawing
+        if (msg.type === "strokePoints" && role !== "drawer") {
+          appendPoints(msg);
+        }
+      });
+
+      function sendToServer(obj) {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify(obj));
+        }
+      }
+
+      if (chatToggle) {
+        chatToggle.addEventListener("click", () => {
+          if (role !== "drawer") return;
+          setChatEnabled(!chatEnabled);
+        });
+      }
+
+      if (chatSend && chatInput) {
+        chatSend.addEventListener("click", () => {
+          const text = chatInput.value.trim();
+          if (!text || !chatEnabled || role !== "drawer") return;
+          sendToServer({ type: "drawerChat", text });
+          chatInput.value = "";
+        });
+
+        chatInput.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            if (!chatEnabled) return;
+            chatSend.click();
+          }
+        });
+      }
+
+      if (durationSelect) {
+        durationSelect.addEventListener("change", () => {
+          if (role !== "drawer") return;
+          sendToServer({
+            type: "setRoundDuration",
+            seconds: Number(durationSelect.value),
+          });
+          log("Round length set to " + durationSelect.value + " seconds (applies to the next round).");
+        });
+      }
+
+      if (difficultySelect) {
+        difficultySelect.addEventListener("change", () => {
+          if (role !== "drawer") return;
+          sendToServer({ type: "setDifficulty", difficulty: difficultySelect.value });
+          log("Word difficulty set to " + difficultySelect.selectedOptions[0].textContent + " (applies to the next word).");
+        });
+      }
+
+      if (guessSend && guessInput) {
+        guessSend.addEventListener("click", () => {
+          const answer = guessInput.value.trim();
+          if (!answer || role !== "caller") return;
+          sendToServer({ type: "callerAnswer", answer });
+          guessInput.value = "";
+        });
+
+        guessInput.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            guessSend.click();
+          }
+        });
+      }
+
+      // Same as typing "hint"
+      if (hintBtn) {
+        hintBtn.addEventListener("click", () => {
+          if (role !== "caller") return;
+          sendToServer({ type: "callerAnswer", answer: "hint" });
+        });
+      }
+
+      if (familyToggle) {
+        familyToggle.addEventListener("change", () => {
+          if (role !== "drawer") return;
+          sendToServer({ type: "setFamilyFriendly", enabled: familyToggle.checked });
+          log(
+            familyToggle.checked
+              ? "Family friendly on: stricter checks on themes and words."
+              : "Family friendly off: only the worst themes and words are blocked."
+          );
+        });
+      }
+
+      if (rotateToggle) {
+        rotateToggle.addEventListener("change", () => {
+          if (role !== "drawer") return;
+          sendToServer({ type: "setRotateRoles", enabled: rotateToggle.checked });
+          log(
+            rotateToggle.checked
+              ? "Rotate mode on: a guesser on the website draws next round."
+              : "Rotate mode off."
+          );
+        });
+      }
+
+      if (eraserBtn) {
+        eraserBtn.addEventListener("click", () => setErasing(!erasing));
+      }
+
+      if (undoBtn) {
+        undoBtn.addEventListener("click", () => {
+          if (role !== "drawer") return;
+          sendToServer({ type: "undo" });
+        });
+      }
+
+      if (redoBtn) {
+        redoBtn.addEventListener("click", () => {
+          if (role !== "drawer") return;
+          sendToServer({ type: "redo" });
+        });
+      }
+
+      // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), but not while typing
+      window.addEventListener("keydown", (e) => {
+        if (role !== "drawer" || !(e.ctrlKey || e.metaKey)) return;
+        if (e.target && e.target.tagName === "INPUT") return;
+        if (e.key.toLowerCase() !== "z" && e.key.toLowerCase() !== "y") return;
+        e.preventDefault();
+        const redo = e.key.toLowerCase() === "y" || e.shiftKey;
+        sendToServer({ type: redo ? "redo" : "undo" });
+      });
+
+      // Clear drawing logic
+      if (clearCanvasBtn) {
+        clearCanvasBtn.addEventListener("click", () => {
+          if (role !== "drawer") return;
+          setStrokes([]);
+          log("You cleared the canvas (undo brings it back).");
+          sendToServer({ type: "clearCanvas" });
+        });
+      }
+
+      joinGatePinBtn.addEventListener("click", () => {
+        const pin = joinGatePin.value.trim();
+        if (!pin) return;
+        sessionStorage.setItem(pinKey, pin);
+        joinRoom();
+      });
+
+      joinAsGuesserBtn.addEventListener("click", () => {
+        params.set("role", "caller");
+        window.location.search = params.toString();
+      });
+
+      pinSetBtn.addEventListener("click", () => {
+        const pin = pinSetInput.value.trim();
+        if (!pin) return;
+        sendToServer({ type: "setPin", pin });
+        pinSetInput.value = "";
+      });
+
+      pinClearBtn.addEventListener("click", () => {
+        sendToServer({ type: "setPin", pin: "" });
+      });
+
+      if (skipWordBtn) {
+        skipWordBtn.addEventListener("click", () => {
+          if (role !== "drawer") return;
+          sendToServer({ type: "skipWord" });
+        });
+      }
+    </script>
+
+  </body>
+</html>
+  `);
+});
+
+// Scheme and host the caller used; behind ngrok/Render the scheme comes from x-forwarded-proto
+function publicOrigin(request) {
+  const protoHeader = request.headers["x-forwarded-proto"] || "https"; // "https" on Render
+  const scheme = Array.isArray(protoHeader) ? protoHeader[0] : protoHeader;
+  return { scheme, host: request.headers["host"] };
+}
+
+// preHandler for Twilio webhooks: rejects requests without a valid X-Twilio-Signature
+async function verifyTwilioRequest(request, reply) {
+  if (!TWILIO_AUTH_TOKEN) return;
+
+  // Twilio signs the full URL it requested, plus the form fields on POST
+  const { scheme, host } = publicOrigin(request);
+  const url = `${scheme}://${host}${request.url}`;
+  const params = request.body && typeof request.body === "object" ? request.body : {};
+  const signature = request.headers["x-twilio-signature"];
+
+  if (validateTwilioSignature(TWILIO_AUTH_TOKEN, signature, url, params)) return;
+
+  fastify.log.warn({ url: redactUrl(url) }, "Rejected webhook with a missing or bad Twilio signature");
+  return reply.code(403).send("Invalid Twilio signature");
+}
+
+/**
+ * TwiML entry point for Voice webhook:
+ * 1) Ask for 4–6 digit room code via DTMF
+ * 2) Send to /start-relay with method="GET"
+ */
+fastify.get("/twiml", { preHandler: verifyTwilioRequest }, async (request, reply) => {
+  fastify.log.info("HTTP /twiml hit");
+
+  // This is the first webhook Twilio hits when a call comes in
+  // We use <Gather> to collect the room code via keypad
+  const twiml = `
+<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Gather input="dtmf" action="/start-relay" method="GET" finishOnKey="#" timeout="5">
+    <Say>Welcome to the Pictionary Hotline. Please enter your 4 to 6 digit room code, then press the pound key.</Say>
+  </Gather>
+  <Say>We didn't receive any input. Goodbye.</Say>
+  <Hangup/>
+</Response>`;
+
+  reply.type("text/xml").send(twiml.trim());
+});
+
+/**
+ * After DTMF is entered, Twilio calls this with ?Digits=xxxx
+ */
+fastify.get("/start-relay", { preHandler: verifyTwilioRequest }, async (request, reply) => {
+  const q = /** @type {any} */ (request.query || {});
+
+  // PIN rooms come back here a second time with the roomId in the query and
+  // the PIN as Digits (kept out of the log)
+  const pinStep = Boolean(q.roomId);
+  fastify.log.info(pinStep ? { roomId: q.roomId } : { query: q }, "HTTP /start-relay hit");
+
+  const digits = (q.Digits || q.digits || "0000")
+    .toString()
+    .replace(/\D/g, "")
+    .slice(0, pinStep ? MAX_PIN_LENGTH : 6) || "0000";
+
+  const roomId = pinStep
+    ? q.roomId.toString().replace(/\D/g, "").slice(0, 6) || "0000"
+    : digits;
+
+  const existingRoom = rooms.get(roomId);
+  if (existingRoom && existingRoom.pin) {
+    if (!pinStep) {
+      const twiml = `
+<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Gather input="dtmf" action="${escapeXml(`/start-relay?roomId=${roomId}`)}" method="GET" finishOnKey="#" timeout="8">
+    <Say>This room has a PIN. Please enter it, then press the pound key.</Say>
+  </Gather>
+  <Say>We didn't receive any input. Goodbye.</Say>
+  <Hangup/>
+</Response>`;
+      return reply.type("text/xml").send(twiml.trim());
+    }
+
+    if (!checkPin(existingRoom, digits)) {
+      fastify.log.info({ roomId }, "Caller entered the wrong room PIN");
+      const twiml = `
+<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say>Sorry, that PIN doesn't match this room. Goodbye.</Say>
+  <Hangup/>
+</Response>`;
+      return reply.type("text/xml").send(twiml.trim());
+    }
+  }
+
+  // Build the WS URL from the actual incoming host/protocol
+  const { scheme, host } = publicOrigin(request);
+  const wsScheme = scheme === "https" ? "wss" : "ws";
+
+  let wsUrlWithRoom = `${wsScheme}://${host}/ws?roomId=${encodeURIComponent(
+    roomId
+  )}`;
+
+  fastify.log.info({ roomId, wsUrlWithRoom }, "ConversationRelay WS URL");
+
+  // Only this call's relay can join the room as a phone (logged without the token)
+  if (TWILIO_AUTH_TOKEN) {
+    const token = createRelayToken(TWILIO_AUTH_TOKEN, roomId, {
+      ttlSeconds: RELAY_TOKEN_TTL_SECONDS,
+    });
+    wsUrlWithRoom += `&token=${encodeURIComponent(token)}`;
+  }
+
+  const greeting = `Room code ${roomId} confirmed. Now say a theme for your word, like animals, space, Halloween, food, or say random. Say quit to end the call.`;
+
+  const twiml = `
+<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Connect>
+    <ConversationRelay url="${escapeXml(wsUrlWithRoom)}" welcomeGreeting="${escapeXml(greeting)}" />
+  </Connect>
+</Response>`;
+
+  reply.type("text/xml").send(twiml.trim());
+});
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function describeOutcome(entry) {
+  if (entry.outcome === "correct") return `Guessed by ${entry.winner}`;
+  if (entry.outcome === "timeout") return "Time ran out";
+  if (entry.outcome === "skipped") return "Skipped";
+  if (entry.outcome === "gaveUp") return "Given up";
+  return entry.outcome;
+}
+
+// Gallery access for PIN rooms comes in cookies scoped to that room's gallery
+// (set by the game page or the gallery's PIN form), not in the URL
+const GALLERY_PIN_COOKIE = "pictionary-gallery-pin";
+const GALLERY_HOST_COOKIE = "pictionary-gallery-host";
+
+function readCookie(request, name) {
+  for (const part of (request.headers.cookie || "").split(";")) {
+    const split = part.indexOf("=");
+    if (split !== -1 && part.slice(0, split).trim() === name) return part.slice(split + 1).trim();
+  }
+  return null;
+}
+
+// "ok", "locked" or "rateLimited". Wrong PINs count as join attempts, so the
+// gallery is no quicker for guessing a PIN than joining is.
+function galleryAccess(request) {
+  const room = rooms.get(request.params.id);
+  if (!room || !room.pin) return "ok";
+
+  const { ip } = request;
+  const pin = readCookie(request, GALLERY_PIN_COOKIE);
+  const token = readCookie(request, GALLERY_HOST_COOKIE);
+  if (!limits.joins.allows(ip)) return "rateLimited";
+  if (canViewGallery(room, { pin, token })) return "ok";
+  if (pin) withinLimit(limits.joins, ip, { ip, roomId: room.id });
+  return pin ? "badPin" : "locked";
+}
+
+async function checkGalleryAccess(request, reply) {
+  const access = galleryAccess(request);
+  if (access === "ok") return;
+  if (access === "rateLimited") {
+    return reply.code(429).send({ error: "Too many wrong PINs. Wait a minute and try again." });
+  }
+  return reply.code(403).send({ error: "This room's gallery needs the room PIN." });
+}
+
+// A finished round's drawing never changes, so each SVG/PNG is rendered once.
+// Kept off the entry itself so it isn't written to the room store.
+const renderedDrawings = new WeakMap();
+
+function renderDrawing(entry, extension) {
+  let rendered = renderedDrawings.get(entry);
+  if (!rendered) {
+    rendered = {};
+    renderedDrawings.set(entry, rendered);
+  }
+  if (!rendered[extension]) {
+    rendered[extension] = extension === "png" ? renderPng(entry.strokes) : renderSvg(entry.strokes);
+  }
+  return rendered[extension];
+}
+
+// Looks rooms up without creating them, unlike getRoom
+function findGalleryRound(request) {
+  const room = rooms.get(request.params.id);
+  return room ? findRound(room, request.params.round) : null;
+}
+
+// "?download=1" saves the file instead of opening it
+function sendDrawing(request, reply, entry, extension, contentType, body) {
+  if (request.query.download) {
+    const word = (entry.word || "drawing").toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    reply.header(
+      "Content-Disposition",
+      `attachment; filename="pictionary-${request.params.id.replace(/\W/g, "")}-${entry.id}-${word}.${extension}"`
+    );
+  }
+  reply.type(contentType).send(body);
+}
+
+// Room and player counts for /health and the admin dashboard
+function getHealth() {
+  const roomCounts = { total: 0, withPlayers: 0, inRound: 0 };
+  const players = { phone: 0, web: 0, waitingForHost: 0 };
+
+  for (const room of rooms.values()) {
+    roomCounts.total++;
+    if (room.players.length > 0) roomCounts.withPlayers++;
+    if (room.mode === "pictionary") roomCounts.inRound++;
+    for (const player of room.players) players[player.kind]++;
+    players.waitingForHost += room.drawerRequests.length;
+  }
+
+  return {
+    status: "ok",
+    uptimeSeconds: Math.round(process.uptime()),
+    roomStore: rooms.type,
+    roomIdleMinutes: ROOM_IDLE_MINUTES,
+    rooms: roomCounts,
+    players,
+    events: { ...roomEventCounts },
+  };
+}
+
+/**
+ * HEALTH: for uptime checks, with room and player counts
+ */
+fastify.get("/health", async () => getHealth());
+
+// preHandler for /admin: hidden unless ADMIN_TOKEN is set, then Basic or Bearer auth
+async function requireAdmin(request, reply) {
+  if (!ADMIN_TOKEN) return reply.code(404).send({ error: "Not found" });
+
+  if (!withinLimit(limits.admin, request.ip, { ip: request.ip, url: redactUrl(request.url) })) {
+    return reply.code(429).send({ error: "Too many requests, slow down." });
+  }
+
+  if (!isAdminAuthorized(request.headers.authorization, ADMIN_TOKEN)) {
+    fastify.log.warn({ ip: request.ip, url: redactUrl(request.url) }, "Rejected admin request");
+    return reply
+      .code(401)
+      .header("WWW-Authenticate", 'Basic realm="Pictionary Hotline admin"')
+      .send({ error: "Admin login required" });
+  }
+
+  // Actions only take JSON, which a form on another site can't send
+  const contentType = request.headers["content-type"] || "";
+  if (request.method === "POST" && !contentType.startsWith("application/json")) {
+    return reply.code(415).send({ error: "Send actions as JSON" });
+  }
+}
+
+// Everything the dashboard shows about a room (no sockets or secrets)
+function describeRoomForAdmin(room) {
+  rollMessageWindow(room.messageStats);
+  const sockets = { drawer: 0, guesser: 0, spectator: 0, phone: 0, web: 0 };
+  for (const player of room.players) {
+    sockets[player.role]++;
+    sockets[player.kind]++;
+  }
+
+  return {
+    id: room.id,
+    mode: room.mode,
+    pickingWord: room.pickingWord,
+    theme: room.theme,
+    word: room.targetWord,
+    roundDuration: room.roundDuration,
+    secondsLeft: getSecondsLeft(room),
+    difficulty: room.difficulty,
+    familyFriendly: room.familyFriendly,
+    rotateRoles: room.rotateRoles,
+    hostClaimed: Boolean(room.hostToken),
+    pinSet: Boolean(room.pin),
+    sockets,
+    waitingForHost: room.drawerRequests.length,
+    players: room.players.map((player) => ({
+      ...describeForEvent(player),
+      isHost: player.isHost,
+      connectedAt: player.connectedAt,
+      messages: player.messageCount,
+    })),
+    messages: {
+      total: room.messageStats.total,
+      lastMinute: room.messageStats.lastMinute,
+      thisMinute: room.messageStats.count,
+    },
+    strokes: room.strokes.length,
+    galleryRounds: room.gallery.length,
+    lastActivityAt: room.lastActivityAt,
+  };
+}
+
+function findAdminRoom(request, reply) {
+  const room = rooms.get(request.params.id);
+  if (!room) reply.code(404).send({ error: "Room not found" });
+  return room;
+}
+
+/**
+ * ADMIN: live rooms for operators, needs ADMIN_TOKEN
+ */
+fastify.get("/admin", { preHandler: requireAdmin }, async (request, reply) => {
+  reply.type("text/html").send(`
+<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Pictionary Hotline admin</title>
+    <style>
+      body {
+        margin: 0;
+        padding: 24px;
+        font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+        background: radial-gradient(circle at top, #1f2937, #020617);
+        color: #e5e7eb;
+        min-height: 100vh;
+        box-sizing: border-box;
+      }
+      h1 {
+        margin: 0 0 4px;
+        font-size: 1.6rem;
+      }
+      .subtitle {
+        color: #94a3b8;
+        margin-bottom: 20px;
+      }
+      .room {
+        background: rgba(15,23,42,0.95);
+        border: 1px solid rgba(148,163,184,0.2);
+        border-radius: 12px;
+        padding: 12px 14px;
+        margin-bottom: 12px;
+      }
+      .room-title {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        font-weight: 600;
+      }
+      .room-title .actions {
+        margin-left: auto;
+        display: flex;
+        gap: 8px;
+      }
+      .meta {
+        font-size: 0.8rem;
+        color: #9ca3af;
+        margin-top: 4px;
+      }
+      table {
+        width: 100%;
+        border-collapse: collapse;
+        margin-top: 8px;
+        font-size: 0.85rem;
+      }
+      th, td {
+        text-align: left;
+        padding: 4px 6px;
+        border-top: 1px solid rgba(148,163,184,0.15);
+      }
+      th {
+        color: #64748b;
+        font-weight: 500;
+      }
+      button {
+        padding: 4px 10px;
+        border-radius: 999px;
+        border: 1px solid rgba(148,163,184,0.8);
+        background: transparent;
+        color: #e5e7eb;
+        font-size: 0.75rem;
+        cursor: pointer;
+      }
+    </style>
+  </head>
+  <body>
+    <h1>Pictionary Hotline admin</h1>
+    <div id="summary" class="subtitle">Loading...</div>
+    <div id="rooms"></div>
+
+    <script>
+      const summaryEl = document.getElementById("summary");
+      const roomsEl = document.getElementById("rooms");
+
+      function el(tag, text, className) {
+        const node = document.createElement(tag);
+        if (text !== undefined) node.textContent = text;
+        if (className) node.className = className;
+        return node;
+      }
+
+      function ago(time) {
+        const seconds = Math.round((Date.now() - time) / 1000);
+        return seconds < 60 ? seconds + "s ago" : Math.round(seconds / 60) + " min ago";
+      }
+
+      async function post(path, body) {
+        const response = await fetch(path, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body || {}),
+        });
+        if (!response.ok) alert("Failed: " + (await response.text()));
+        refresh();
+      }
+
+      function button(label, onClick) {
+        const node = el("button", label);
+        node.addEventListener("click", onClick);
+        return node;
+      }
+
+      function renderRoom(room) {
+        const base = "/admin/api/rooms/" + encodeURIComponent(room.id);
+        const card = el("div", undefined, "room");
+
+        const title = el("div", undefined, "room-title");
+        title.appendChild(el("span", "Room " + room.id));
+        const actions = el("span", undefined, "actions");
+        actions.appendChild(
+          button("Broadcast", () => {
+            const text = prompt("Message for room " + room.id + " (shown on the pages and read to callers)");
+            if (text) post(base + "/broadcast", { text, to: "all" });
+          })
+        );
+        actions.appendChild(
+          button("Reset", () => {
+            if (confirm("Reset room " + room.id + "? The round and drawing are cleared.")) post(base + "/reset");
+          })
+        );
+        title.appendChild(actions);
+        card.appendChild(title);
+
+        const round =
+          room.mode === "pictionary"
+            ? "In a round (" + room.word + ", " + room.secondsLeft + "s of " + room.roundDuration + "s left)"
+            : room.pickingWord ? "Picking a word" : "In the menu";
+        const details = [
+          round,
+          "theme: " + (room.theme || "none"),
+          "round length " + room.roundDuration + "s",
+          room.hostClaimed ? "host claimed" : "no host",
+          room.pinSet ? "PIN set" : "no PIN",
+          room.messages.lastMinute + " msgs last minute, " + room.messages.thisMinute + " this minute",
+          "last activity " + ago(room.lastActivityAt),
+        ];
+        card.appendChild(el("div", details.join(" · "), "meta"));
+
+        const s = room.sockets;
+        const sockets = [
+          s.drawer + " drawer",
+          s.guesser + " guessers",
+          s.spectator + " spectators",
+          s.phone + " on the phone",
+          room.waitingForHost + " waiting for the host",
+        ];
+        card.appendChild(el("div", sockets.join(" · "), "meta"));
+
+        if (room.players.length) {
+          const table = el("table");
+          const head = el("tr");
+          for (const label of ["Name", "Role", "Connection", "Connected", "Messages", ""]) {
+            head.appendChild(el("th", label));
+          }
+          table.appendChild(head);
+
+          for (const player of room.players) {
+            const row = el("tr");
+            row.appendChild(el("td", player.name + (player.isHost ? " (host)" : "")));
+            row.appendChild(el("td", player.role));
+            row.appendChild(el("td", player.kind));
+            row.appendChild(el("td", ago(player.connectedAt)));
+            row.appendChild(el("td", String(player.messages)));
+            const cell = el("td");
+            cell.appendChild(
+              button("Kick", () => {
+                if (confirm("Disconnect " + player.name + "?")) post(base + "/players/" + player.id + "/kick");
+              })
+            );
+            row.appendChild(cell);
+            table.appendChild(row);
+          }
+          card.appendChild(table);
+        }
+
+        return card;
+      }
+
+      async function refresh() {
+        try {
+          const response = await fetch("/admin/api/rooms");
+          if (!response.ok) throw new Error(response.status + " " + response.statusText);
+          const data = await response.json();
+
+          const h = data.health;
+          summaryEl.textContent =
+            h.rooms.total + " rooms (" + h.rooms.withPlayers + " with players, " + h.rooms.inRound + " mid-round), " +
+            h.players.web + " web and " + h.players.phone + " phone players. Up " + Math.round(h.uptimeSeconds / 60) + " min.";
+
+          roomsEl.replaceChildren(...data.rooms.map(renderRoom));
+        } catch (err) {
+          summaryEl.textContent = "Could not load rooms: " + err.message;
+        }
+      }
+
+      refresh();
+      setInterval(refresh, 3000);
+    </script>
+  </body>
+</html>
+  `);
+});
+
+fastify.get("/admin/api/rooms", { preHandler: requireAdmin }, async () => {
+  const list = [...rooms.values()]
+    .sort((a, b) => b.lastActivityAt - a.lastActivityAt)
+    .map(describeRoomForAdmin);
+  return { health: getHealth(), rooms: list };
+});
+
+fastify.get("/admin/api/rooms/:id", { preHandler: requireAdmin }, async (request, reply) => {
+  const room = findAdminRoom(request, reply);
+  if (!room) return;
+  return describeRoomForAdmin(room);
+});
+
+fastify.post("/admin/api/rooms/:id/reset", { preHandler: requireAdmin }, async (request, reply) => {
+  const room = findAdminRoom(request, reply);
+  if (!room) return;
+
+  fastify.log.info({ roomId: room.id, ip: request.ip }, "Admin reset room");
+  resetRoom(room);
+
+  sendToPhone(room, `This game was reset. ${MENU_INSTRUCTIONS}`);
+  sendToWeb(room, { type: "clearCanvas" });
+  sendToWeb(room, { type: "menu" });
+  sendToWeb(room, { type: "status", message: "An admin reset this room." });
+  return describeRoomForAdmin(room);
+});
+
+fastify.post("/admin/api/rooms/:id/players/:playerId/kick", { preHandler: requireAdmin }, async (request, reply) => {
+  const room = findAdminRoom(request, reply);
+  if (!room) return;
+
+  const player = room.players.find((p) => String(p.id) === request.params.playerId);
+  if (!player) return reply.code(404).send({ error: "Player not found" });
+
+  fastify.log.info({ roomId: room.id, player: player.name, ip: request.ip }, "Admin kicked player");
+
+  // The socket's close handler takes the player out of the room
+  if (player.kind === "phone") {
+    sendSpeech(player.socket, "An admin ended this call. Goodbye.");
+  } else {
+    player.socket.send(
+      JSON.stringify({
+        type: "joinRejected",
+        reason: "kicked",
+        message: "An admin removed you from this room.",
+      })
+    );
+  }
+  player.socket.close(1008, "Kicked by an admin");
+  return { kicked: describeForEvent(player) };
+});
+
+// to: "web" | "phone" | "all" (default)
+fastify.post("/admin/api/rooms/:id/broadcast", { preHandler: requireAdmin }, async (request, reply) => {
+  const room = findAdminRoom(request, reply);
+  if (!room) return;
+
+  const text = cleanChatText(request.body && request.body.text);
+  if (!text) return reply.code(400).send({ error: "text is required" });
+  const to = ["web", "phone"].includes(request.body.to) ? request.body.to : "all";
+
+  fastify.log.info({ roomId: room.id, to, text, ip: request.ip }, "Admin broadcast");
+  if (to !== "phone") sendToWeb(room, { type: "notice", text: `Announcement: ${text}` });
+  if (to !== "web") sendToPhone(room, `Announcement: ${text}`);
+  return { sent: true, to };
+});
+
+/**
+ * GALLERY: finished rounds of a room, newest first, with SVG/PNG downloads
+ */
+fastify.get("/rooms/:id/gallery", async (request, reply) => {
+  const room = rooms.get(request.params.id);
+  const access = galleryAccess(request);
+  const locked = access !== "ok";
+  const rounds = room && !locked ? room.gallery.slice().reverse() : [];
+  const base = `/rooms/${encodeURIComponent(request.params.id)}/gallery`;
+
+  const cards = rounds
+    .map(
+      (entry) => `
+      <div class="round">
+        <img src="${base}/${entry.id}.svg" alt="Drawing of ${escapeHtml(entry.word)}" />
+        <div class="word">${escapeHtml(entry.word)}</div>
+        <div class="meta">
+          ${entry.theme ? `Theme: ${escapeHtml(entry.theme)}<br/>` : ""}
+          ${entry.drawer ? `Drawn by ${escapeHtml(entry.drawer)}<br/>` : ""}
+          ${escapeHtml(describeOutcome(entry))}
+        </div>
+        <div class="links">
+          <a href="${base}/${entry.id}/replay">Replay</a>
+          <a href="${base}/${entry.id}.svg?download=1">SVG</a>
+          <a href="${base}/${entry.id}.png?download=1">PNG</a>
+        </div>
+      </div>`
+    )
+    .join("");
+
+  reply.code(access === "rateLimited" ? 429 : locked ? 403 : room ? 200 : 404).type("text/html").send(`
+<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Pictionary Hotline gallery</title>
+    <style>
+      body {
+        margin: 0;
+        padding: 24px;
+        font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+        background: radial-gradient(circle at top, #1f2937, #020617);
+        color: #e5e7eb;
+        min-height: 100vh;
+        box-sizing: border-box;
+      }
+      h1 {
+        margin: 0 0 4px;
+        font-size: 1.6rem;
+      }
+      .subtitle {
+        color: #94a3b8;
+        margin-bottom: 20px;
+      }
+      .grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+        gap: 16px;
+      }
+      .round {
+        background: rgba(15,23,42,0.95);
+        border: 1px solid rgba(148,163,184,0.2);
+        border-radius: 12px;
+        padding: 12px;
+      }
+      .round img {
+        width: 100%;
+        border-radius: 8px;
+        display: block;
+      }
+      .word {
+        font-weight: 600;
+        margin: 8px 0 4px;
+      }
+      .meta {
+        font-size: 0.8rem;
+        color: #9ca3af;
+      }
+      .links {
+        margin-top: 8px;
+        display: flex;
+        gap: 12px;
+        font-size: 0.85rem;
+      }
+      a {
+        color: #c7d2fe;
+      }
+      input, button {
+        padding: 6px 12px;
+        border-radius: 999px;
+        border: 1px solid rgba(148,163,184,0.6);
+        background: #020617;
+        color: #e5e7eb;
+      }
+    </style>
+  </head>
+  <body>
+    <h1>Room ${escapeHtml(request.params.id)} gallery</h1>
+    <div class="subtitle">
+      ${
+        access === "rateLimited"
+          ? "Too many wrong PINs. Wait a minute and try again."
+          : access === "badPin"
+            ? "That PIN doesn't match this room."
+            : locked
+              ? "This room is locked with a PIN."
+              : rounds.length
+                ? "The last " + rounds.length + " drawings from this room."
+                : "No finished drawings yet."
+      }
+    </div>
+    ${
+      locked
+        ? `<form id="pinForm">
+      <input id="pinInput" inputmode="numeric" autocomplete="off" placeholder="Room PIN" />
+      <button type="submit">Show drawings</button>
+    </form>
+    <script>
+      // Kept in a cookie for this gallery only, so the PIN stays out of the URL
+      document.getElementById("pinForm").addEventListener("submit", (event) => {
+        event.preventDefault();
+        const pin = document.getElementById("pinInput").value.replace(/\\D/g, "");
+        document.cookie = "${GALLERY_PIN_COOKIE}=" + pin + "; path=" + ${JSON.stringify(base)} + "; SameSite=Strict";
+        window.location.reload();
+      });
+    </script>`
+        : ""
+    }
+    <div class="grid">${cards}</div>
+  </body>
+</html>
+  `);
+});
+
+fastify.get("/rooms/:id/gallery/:round.svg", { preHandler: [checkGalleryAccess, limitExports] }, async (request, reply) => {
+  const entry = findGalleryRound(request);
+  if (!entry) return reply.code(404).send({ error: "Round not found" });
+  sendDrawing(request, reply, entry, "svg", "image/svg+xml", renderDrawing(entry, "svg"));
+});
+
+fastify.get("/rooms/:id/gallery/:round.png", { preHandler: [checkGalleryAccess, limitExports] }, async (request, reply) => {
+  const entry = findGalleryRound(request);
+  if (!entry) return reply.code(404).send({ error: "Round not found" });
+  sendDrawing(request, reply, entry, "png", "image/png", renderDrawing(entry, "png"));
+});
+
+fastify.get("/rooms/:id/gallery/:round.json", { preHandler: [checkGalleryAccess, limitExports] }, async (request, reply) => {
+  const entry = findGalleryRound(request);
+  if (!entry) return reply.code(404).send({ error: "Round not found" });
+  return entry;
+});
+
+/**
+ * REPLAY: time-lapse of a finished round with the guesses as they were made
+ */
+fastify.get("/rooms/:id/gallery/:round/replay", { preHandler: [checkGalleryAccess, limitExports] }, async (request, reply) => {
+  const entry = findGalleryRound(request);
+  if (!entry) return reply.code(404).send({ error: "Round not found" });
+  const base = `/rooms/${encodeURIComponent(request.params.id)}/gallery`;
+
+  reply.type("text/html").send(`
+<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Replay: ${escapeHtml(entry.word)}</title>
+    <style>
+      body {
+        margin: 0;
+        padding: 24px;
+        font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+        background: radial-gradient(circle at top, #1f2937, #020617);
+        color: #e5e7eb;
+        min-height: 100vh;
+        box-sizing: border-box;
+      }
+      .layout {
+        display: grid;
+        grid-template-columns: minmax(0, 3fr) minmax(200px, 1fr);
+        gap: 16px;
+      }
+      @media (max-width: 720px) {
+        .layout {
+          grid-template-columns: 1fr;
+        }
+      }
+      h1 {
+        margin: 0 0 4px;
+        font-size: 1.6rem;
+      }
+      .subtitle {
+        color: #94a3b8;
+        margin-bottom: 16px;
+      }
+      canvas {
+        width: 100%;
+        aspect-ratio: 16 / 10;
+        border-radius: 12px;
+        background: #0b1120;
+        border: 1px dashed rgba(148,163,184,0.4);
+      }
+      .controls {
+        display: flex;
+        gap: 8px;
+        align-items: center;
+        margin-top: 8px;
+        font-size: 0.85rem;
+      }
+      button, select {
+        padding: 6px 12px;
+        border-radius: 999px;
+        border: 1px solid rgba(148,163,184,0.6);
+        background: #020617;
+        color: #e5e7eb;
+        cursor: pointer;
+      }
+      .panel {
+        background: rgba(15,23,42,0.95);
+        border: 1px solid rgba(148,163,184,0.2);
+        border-radius: 12px;
+        padding: 12px;
+        font-size: 0.85rem;
+      }
+      #guesses {
+        list-style: none;
+        padding: 0;
+        margin: 8px 0 0;
+      }
+      #guesses li {
+        padding: 4px 0;
+        border-bottom: 1px solid rgba(148,163,184,0.15);
+      }
+      a {
+        color: #c7d2fe;
+      }
+    </style>
+  </head>
+  <body>
+    <h1>Replay: ${escapeHtml(entry.word)}</h1>
+    <div class="subtitle">
+      ${entry.drawer ? `Drawn by ${escapeHtml(entry.drawer)}. ` : ""}${escapeHtml(describeOutcome(entry))}.
+      <a href="${base}">Back to the gallery</a>
+    </div>
+    <div class="layout">
+      <div>
+        <canvas id="canvas" width="800" height="500"></canvas>
+        <div class="controls">
+          <button id="playBtn">Pause</button>
+          <button id="restartBtn">Restart</button>
+          <select id="speed">
+            <option value="0.5">0.5×</option>
+            <option value="1" selected>1×</option>
+            <option value="2">2×</option>
+            <option value="4">4×</option>
+            <option value="8">8×</option>
+          </select>
+          <span id="clock"></span>
+        </div>
+      </div>
+      <div class="panel">
+        <strong>Guesses</strong>
+        <ul id="guesses"></ul>
+      </div>
+    </div>
+
+    <script>
+      const canvas = document.getElementById("canvas");
+      const ctx = canvas.getContext("2d");
+      const playBtn = document.getElementById("playBtn");
+      const restartBtn = document.getElementById("restartBtn");
+      const speedSelect = document.getElementById("speed");
+      const clockEl = document.getElementById("clock");
+      const guessesEl = document.getElementById("guesses");
+
+      ctx.lineCap = "round";
+
+      let round = null;
+      let duration = 0;
+      let elapsed = 0; // replay position in round milliseconds
+      let playing = false;
+      let lastFrame = null;
+      let drawnCounts = []; // points drawn so far, per stroke
+      let shownGuesses = 0;
+
+      // Drawings saved before timestamps existed play back at a steady pace
+      function pointTime(point, index) {
+        return point.length > 3 ? point[3] : index * 16;
+      }
+
+      function formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return Math.floor(seconds / 60) + ":" + String(seconds % 60).padStart(2, "0");
+      }
 
-        // Caller renders remote drawing
-        if (msg.type === "drawSegment" && role === "caller") {
+      // Same drawing rules as the /play canvas
+      function drawStroke(stroke, from, to) {
+        const pts = stroke.points;
+        ctx.globalCompositeOperation = stroke.erase ? "destination-out" : "source-over";
+        ctx.strokeStyle = stroke.color || "#f97316";
+
+        for (let i = from; i < to; i++) {
+          const a = pts[Math.max(0, i - 1)];
+          const b = pts[i];
+          ctx.lineWidth = Math.max(1, ((a[2] + b[2]) / 2) * canvas.width);
           ctx.beginPath();
-          ctx.moveTo(msg.x1, msg.y1);
-          ctx.lineTo(msg.x2, msg.y2);
+          ctx.moveTo(a[0] * canvas.width, a[1] * canvas.height);
+          ctx.lineTo(b[0] * canvas.width, b[1] * canvas.height);
           ctx.stroke();
         }
-      });
+        ctx.globalCompositeOperation = "source-over";
+      }
 
-      function sendToServer(obj) {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify(obj));
+      function renderUpTo(time) {
+        round.strokes.forEach((stroke, i) => {
+          const from = drawnCounts[i];
+          let to = from;
+          while (to < stroke.points.length && pointTime(stroke.points[to], to) <= time) to++;
+          if (to > from) {
+            drawStroke(stroke, from, to);
+            drawnCounts[i] = to;
+          }
+        });
+
+        while (shownGuesses < round.guesses.length && round.guesses[shownGuesses].time <= time) {
+          const guess = round.guesses[shownGuesses];
+          const li = document.createElement("li");
+          const mark =
+            guess.outcome === "correct" ? " ✓" : guess.outcome === "warm" ? " (so close!)" : "";
+          li.textContent = formatTime(guess.time) + " " + guess.player + ": " + guess.guess + mark;
+          guessesEl.appendChild(li);
+          shownGuesses++;
         }
+
+        clockEl.textContent = formatTime(time) + " / " + formatTime(duration);
       }
 
-      if (chatToggle && role === "drawer") {
-        chatToggle.addEventListener("click", () => {
-          setChatEnabled(!chatEnabled);
-        });
+      function restart() {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        guessesEl.innerHTML = "";
+        drawnCounts = round.strokes.map(() => 0);
+        shownGuesses = 0;
+        elapsed = 0;
+        setPlaying(true);
       }
 
-      if (chatSend && chatInput && role === "drawer") {
-        chatSend.addEventListener("click", () => {
-          const text = chatInput.value.trim();
-          if (!text || !chatEnabled) return;
-          sendToServer({ type: "drawerChat", text });
-          chatInput.value = "";
-        });
+      function setPlaying(value) {
+        playing = value;
+        lastFrame = null;
+        playBtn.textContent = playing ? "Pause" : "Play";
+        if (playing) requestAnimationFrame(frame);
+      }
 
-        chatInput.addEventListener("keydown", (e) => {
-          if (e.key === "Enter") {
-            e.preventDefault();
-            if (!chatEnabled) return;
-            chatSend.click();
-          }
-        });
+      function frame(now) {
+        if (!playing) return;
+        if (lastFrame !== null) elapsed += (now - lastFrame) * Number(speedSelect.value);
+        lastFrame = now;
+
+        renderUpTo(Math.min(elapsed, duration));
+        if (elapsed >= duration) {
+          setPlaying(false);
+          playBtn.textContent = "Replay";
+          return;
+        }
+        requestAnimationFrame(frame);
       }
 
-      // Clear drawing logic
-      if (clearCanvasBtn && role === "drawer") {
-        clearCanvasBtn.addEventListener("click", () => {
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
-          log("You cleared the canvas.");
-          sendToServer({ type: "clearCanvas" });
+      playBtn.addEventListener("click", () => {
+        if (!playing && elapsed >= duration) restart();
+        else setPlaying(!playing);
+      });
+      restartBtn.addEventListener("click", restart);
+
+      fetch(${JSON.stringify(`${base}/${entry.id}.json`)})
+        .then((res) => res.json())
+        .then((data) => {
+          round = data;
+          round.guesses = round.guesses || [];
+          duration = 0;
+          round.strokes.forEach((stroke) => {
+            stroke.points.forEach((point, i) => {
+              duration = Math.max(duration, pointTime(point, i));
+            });
+          });
+          round.guesses.forEach((guess) => {
+            duration = Math.max(duration, guess.time);
+          });
+          restart();
         });
-      }
     </script>
-
   </body>
 </html>
   `);
 });
 
 /**
- * TwiML entry point for Voice webhook:
- * 1) Ask for 4–6 digit room code via DTMF
- * 2) Send to /start-relay with method="GET"
+ * Put an accepted /play page into the room and send it the current game state.
+ * role is the page's role ("drawer" | "caller" | "spectator").
  */
-fastify.get("/twiml", async (request, reply) => {
-  fastify.log.info("HTTP /twiml hit");
+function joinWebPlayer(room, socket, { role, name, isHost = false, drawerToken = null }) {
+  const roomId = room.id;
+
+  // Only one drawer per room, the newest one takes over the canvas and the
+  // old drawer carries on as a guesser
+  if (role === "drawer") {
+    // Unless it is the rotated drawer coming back, their turn is over
+    if (!isDrawerToken(room, drawerToken)) room.drawerToken = null;
+    const previousDrawer = getDrawer(room);
+    if (previousDrawer) {
+      previousDrawer.role = "guesser";
+      sendRole(previousDrawer);
+      previousDrawer.socket.send(
+        JSON.stringify({
+          type: "status",
+          message: "Another drawer joined this room and took over the canvas.",
+        })
+      );
+      fastify.log.info(
+        { roomId, player: previousDrawer.name },
+        "Drawer replaced by a new web client"
+      );
+    }
+  }
 
-  // This is the first webhook Twilio hits when a call comes in
-  // We use <Gather> to collect the room code via keypad
-  const twiml = `
-<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Gather input="dtmf" action="/start-relay" method="GET" finishOnKey="#" timeout="5">
-    <Say>Welcome to the Pictionary Hotline. Please enter your 4 to 6 digit room code, then press the pound key.</Say>
-  </Gather>
-  <Say>We didn't receive any input. Goodbye.</Say>
-  <Hangup/>
-</Response>`;
+  const player = addPlayer(room, {
+    kind: "web",
+    role: role === "caller" ? "guesser" : role,
+    socket,
+    name,
+    isHost,
+  });
 
-  reply.type("text/xml").send(twiml.trim());
-});
+  fastify.log.info(
+    {
+      roomId,
+      role,
+      player: player.name,
+    },
+    "Web client joined"
+  );
 
-/**
- * After DTMF is entered, Twilio calls this with ?Digits=xxxx
- */
-fastify.get("/start-relay", async (request, reply) => {
-  fastify.log.info({ query: request.query }, "HTTP /start-relay hit");
+  const connected = " Connected: " + describePlayers(room) + ".";
+  const statusPayload =
+    getPhonePlayers(room).length > 0
+      ? {
+          type: "status",
+          message:
+            room.mode === "pictionary"
+              ? "Caller is on the line in this room. Pictionary round in progress." +
+                connected
+              : "Connected to room " +
+                roomId +
+                ". Caller is on the line and can pick a theme." +
+                connected,
+        }
+      : {
+          type: "status",
+          message:
+            "Connected to room " +
+            roomId +
+            ". Waiting for caller to dial the hotline and enter this room code." +
+            connected,
+        };
+
+  socket.send(JSON.stringify(statusPayload));
+
+  // Let everyone else in the room know who just arrived
+  for (const other of room.players) {
+    if (other.kind !== "web" || other === player) continue;
+    other.socket.send(
+      JSON.stringify({
+        type: "status",
+        message: player.name + " joined the room." + connected,
+      })
+    );
+  }
 
-  const q = /** @type {any} */ (request.query || {});
-  const digits = (q.Digits || q.digits || "0000")
-    .toString()
-    .replace(/\D/g, "")
-    .slice(0, 6) || "0000";
+  fastify.log.info(
+    { roomId, count: room.strokes.length },
+    "Sending initDrawing to new web client"
+  );
 
-  const roomId = digits || "0000";
+  if (room.strokes.length > 0) {
+    socket.send(
+      JSON.stringify({
+        type: "initDrawing",
+        strokes: encodeStrokes(room.strokes),
+      })
+    );
+  }
 
-  // Build the WS URL from the actual incoming host/protocol
-  const host = request.headers["host"]; 
-  const protoHeader = request.headers["x-forwarded-proto"] || "https"; // "https" on Render
-  const scheme = Array.isArray(protoHeader) ? protoHeader[0] : protoHeader;
-  const wsScheme = scheme === "https" ? "wss" : "ws";
+  socket.send(
+    JSON.stringify({
+      type: "roundDuration",
+      seconds: room.roundDuration,
+    })
+  );
 
-  const wsUrlWithRoom = `${wsScheme}://${host}/ws?roomId=${encodeURIComponent(
-    roomId
-  )}`;
+  socket.send(
+    JSON.stringify({
+      type: "difficulty",
+      difficulty: room.difficulty,
+    })
+  );
 
-  fastify.log.info({ roomId, wsUrlWithRoom }, "ConversationRelay WS URL");
+  socket.send(
+    JSON.stringify({
+      type: "scoreboard",
+      scores: getScoreboard(room),
+    })
+  );
 
-  const greeting = `Room code ${roomId} confirmed. Now say a theme for your word, like animals, space, Halloween, food, or say random. Say quit to end the call.`;
+  socket.send(
+    JSON.stringify({
+      type: "rotateRoles",
+      enabled: room.rotateRoles,
+    })
+  );
 
-  const twiml = `
-<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Connect>
-    <ConversationRelay url="${wsUrlWithRoom}" welcomeGreeting="${greeting}" />
-  </Connect>
-</Response>`;
+  socket.send(
+    JSON.stringify({
+      type: "familyFriendly",
+      enabled: room.familyFriendly,
+    })
+  );
 
-  reply.type("text/xml").send(twiml.trim());
-});
+  if (room.mode === "pictionary" && room.targetWord) {
+    sendPictionaryStart(room, player);
+    socket.send(
+      JSON.stringify({
+        type: "timer",
+        remaining: getSecondsLeft(room),
+        duration: room.roundDuration,
+      })
+    );
+  } else if (room.mode === "menu") {
+    socket.send(
+      JSON.stringify({
+        type: "menu",
+      })
+    );
+  }
+
+
+  if (isHost) sendHostState(room, player);
+  return player;
+}
 
+// One bad message is logged and dropped, it can't become an unhandled
+// rejection that stops the server
+function catchMessageErrors(kind, socket, handler) {
+  return (data) =>
+    handler(data).catch((err) => {
+      fastify.log.error({ err, roomId: socketRoom.get(socket) }, `Failed to handle a ${kind} message`);
+    });
+}
 
 // WebSocket routes: /ws (phone) and /ws-web (browser)
 fastify.register(async function (instance) {
@@ -1060,23 +3972,47 @@ fastify.register(async function (instance) {
     const url = new URL(req.url, "http://dummy");
     const roomId = (url.searchParams.get("roomId") || "0000").toString();
 
-    fastify.log.info({ roomId }, "Phone WebSocket connection opened");
+    // Token from /start-relay, so nobody else can pose as a caller
+    if (
+      TWILIO_AUTH_TOKEN &&
+      !verifyRelayToken(TWILIO_AUTH_TOKEN, url.searchParams.get("token"), roomId)
+    ) {
+      fastify.log.warn({ roomId }, "Rejected phone WebSocket with a missing or bad token");
+      socket.close(1008, "Invalid token");
+      return;
+    }
+
+    // Without relay tokens nothing proves the caller went through the PIN
+    // step in /start-relay, so PIN rooms take no unverified phone sockets
+    if (!TWILIO_AUTH_TOKEN && rooms.get(roomId)?.pin) {
+      fastify.log.warn({ roomId }, "Rejected phone WebSocket for a PIN room, TWILIO_AUTH_TOKEN is not set");
+      socket.close(1008, "PIN rooms need TWILIO_AUTH_TOKEN");
+      return;
+    }
 
     socketRoom.set(socket, roomId);
 
     const room = getRoom(roomId);
-    room.phoneSocket = socket;
+    const player = addPlayer(room, { kind: "phone", role: "guesser", socket });
+
+    fastify.log.info(
+      { roomId, player: player.name },
+      "Phone WebSocket connection opened"
+    );
 
     // Notify that caller connected
     sendToWeb(room, {
       type: "status",
       message:
-        "Caller connected to room " +
+        player.name +
+        " connected to room " +
         roomId +
-        ". Waiting for them to pick a theme.",
+        ". Connected: " +
+        describePlayers(room) +
+        ".",
     });
 
-    socket.on("message", async (data) => {
+    socket.on("message", catchMessageErrors("phone", socket, async (data) => {
       const raw = data.toString();
       fastify.log.info({ raw }, "Phone WS raw message");
 
@@ -1087,24 +4023,57 @@ fastify.register(async function (instance) {
         fastify.log.warn("Non-JSON message from phone socket:", raw);
         return;
       }
+      if (!parsed || typeof parsed !== "object") return;
 
       fastify.log.info({ parsed }, "Phone WS parsed message");
+      countMessage(room, player);
+
+      // First message on a ConversationRelay socket, identifies the call
+      if (parsed.type === "setup") {
+        player.callSid = parsed.callSid || null;
+        fastify.log.info(
+          { roomId, player: player.name, callSid: player.callSid },
+          "Phone call set up"
+        );
+        return;
+      }
 
       if (parsed.type === "prompt") {
-        const text = parsed.voicePrompt || parsed.text || "";
-        fastify.log.info({ roomId, text }, "Caller said (recognized text)");
-        await handlePhonePrompt(room, text);
+        const slowDown = () => sendSpeech(socket, "One guess at a time, please.");
+        if (!withinLimit(limits.guesses, socket, { roomId, player: player.name }, slowDown)) return;
+        touchRoom(room);
+
+        const text = [parsed.voicePrompt, parsed.text].find((value) => typeof value === "string") || "";
+        fastify.log.info(
+          { roomId, player: player.name, text },
+          "Caller said (recognized text)"
+        );
+        await handlePhonePrompt(room, player, text);
       }
-    });
+    }));
 
     socket.on("close", () => {
+      limits.guesses.forget(socket);
       const roomId = socketRoom.get(socket) || "0000";
-      fastify.log.info({ roomId }, "Phone WebSocket closed");
+      fastify.log.info({ roomId, player: player.name }, "Phone WebSocket closed");
 
       const room = getRoom(roomId);
-      room.phoneSocket = null;
+      removePlayer(room, socket);
+
+      // Other callers, or web guessers, can keep playing
+      if (room.players.some((p) => p.role === "guesser")) {
+        sendToWeb(room, {
+          type: "status",
+          message:
+            player.name +
+            " hung up. Connected: " +
+            describePlayers(room) +
+            ".",
+        });
+        return;
+      }
 
-      // Reset the room if caller disconnects to prevent issues
+      // Reset the room once the last guesser of either kind is gone
       resetRoom(room);
 
       sendToWeb(room, {
@@ -1119,9 +4088,18 @@ fastify.register(async function (instance) {
   });
 
   instance.get("/ws-web", { websocket: true }, (socket, req) => {
-    fastify.log.info("Web WebSocket connection opened");
+    const ip = req.ip;
+    fastify.log.info({ ip }, "Web WebSocket connection opened");
+
+    socket.on("message", catchMessageErrors("web", socket, async (data) => {
+      // Dropped before parsing, a flood shouldn't cost more than it has to
+      if (
+        !withinLimit(limits.webMessages, socket, { ip, roomId: socketRoom.get(socket) }) ||
+        !withinLimit(limits.webMessagesPerIp, ip, { ip })
+      ) {
+        return;
+      }
 
-    socket.on("message", (data) => {
       let parsed;
       try {
         parsed = JSON.parse(data.toString());
@@ -1129,154 +4107,311 @@ fastify.register(async function (instance) {
         fastify.log.warn("Non-JSON message from web client:", data.toString());
         return;
       }
+      if (!parsed || typeof parsed !== "object") return;
 
       // Join web
       if (parsed.type === "joinWeb") {
         const roomId = (parsed.roomId || "0000").toString();
-        let role = (parsed.role || "drawer").toLowerCase();
-        if (role !== "caller") role = "drawer";
+        // Unknown roles only get to watch, never the drawer slot
+        let role = (parsed.role || "drawer").toString().toLowerCase();
+        if (!["drawer", "caller", "spectator"].includes(role)) role = "spectator";
 
-        socketRoom.set(socket, roomId);
+        if (!withinLimit(limits.joins, ip, { ip, roomId })) {
+          socket.send(
+            JSON.stringify({
+              type: "joinRejected",
+              reason: "rateLimited",
+              message: "Too many attempts to join. Wait a minute and try again.",
+            })
+          );
+          return;
+        }
 
         const room = getRoom(roomId);
+        const access = checkWebJoin(room, {
+          role,
+          token: parsed.token,
+          drawerToken: parsed.drawerToken,
+          pin: parsed.pin,
+          hostOnline: room.players.some((p) => p.isHost),
+        });
 
-        if (role === "drawer") {
-          room.drawerSocket = socket;
-        } else {
-          room.callerSocket = socket;
+        if (!access.ok && access.reason !== "needsApproval") {
+          fastify.log.info({ roomId, role, reason: access.reason }, "Web join rejected");
+          socket.send(
+            JSON.stringify({ type: "joinRejected", reason: access.reason, message: access.message })
+          );
+          return;
         }
 
-        fastify.log.info(
-          {
-            roomId,
-            role,
-          },
-          "Web client joined"
-        );
-
-        const statusPayload = room.phoneSocket
-          ? {
-              type: "status",
-              message:
-                room.mode === "pictionary"
-                  ? "Caller is on the line in this room. Pictionary round in progress."
-                  : "Connected to room " +
-                    roomId +
-                    ". Caller is on the line and can pick a theme.",
-            }
-          : {
-              type: "status",
-              message:
-                "Connected to room " +
-                roomId +
-                ". Waiting for caller to dial the hotline and enter this room code.",
-            };
-
-        socket.send(JSON.stringify(statusPayload));
+        // A socket re-sending joinWeb shouldn't show up twice
+        const previousRoomId = socketRoom.get(socket);
+        if (previousRoomId) leaveRoom(getRoom(previousRoomId), socket);
 
-        fastify.log.info(
-          { roomId, count: room.drawSegments.length },
-          "Sending initDrawing to new web client"
-        );
+        socketRoom.set(socket, roomId);
 
-        if (room.drawSegments && room.drawSegments.length > 0) {
-          socket.send(
-            JSON.stringify({
-              type: "initDrawing",
-              segments: room.drawSegments,
-            })
-          );
+        if (!access.ok) {
+          requestDrawerSlot(room, socket, parsed.name);
+          socket.send(JSON.stringify({ type: "joinPending", message: access.message }));
+          return;
         }
 
-        if (room.mode === "pictionary" && room.targetWord) {
-          socket.send(
-            JSON.stringify({
-              type: "pictionaryStart",
-              word: room.targetWord,
-            })
-          );
-        } else if (room.mode === "menu") {
-          socket.send(
-            JSON.stringify({
-              type: "menu",
-            })
-          );
+        // The first drawer claims the room, and can give it a PIN right away
+        let isHost = access.isHost;
+        if (role === "drawer" && !room.hostToken) {
+          room.hostToken = createAccessToken();
+          room.pin = cleanPin(parsed.pin);
+          isHost = true;
+          saveRoom(room);
+          fastify.log.info({ roomId, pin: Boolean(room.pin) }, "Room claimed by its first drawer");
+          socket.send(JSON.stringify({ type: "hostToken", token: room.hostToken }));
         }
 
+        joinWebPlayer(room, socket, { role, name: parsed.name, isHost, drawerToken: parsed.drawerToken });
         return;
       }
 
-      const roomId = socketRoom.get(socket) || "0000";
-      const room = getRoom(roomId);
+      // Only joinWeb is accepted before joining a room
+      const roomId = socketRoom.get(socket);
+      if (!roomId) return;
 
-      // --- DRAW SEGMENT ---
-      if (parsed.type === "drawSegment") {
-        room.drawSegments.push({
-          x1: parsed.x1,
-          y1: parsed.y1,
-          x2: parsed.x2,
-          y2: parsed.y2,
-        });
+      const room = getRoom(roomId);
+      touchRoom(room);
+      const player = findPlayer(room, socket);
+      const isDrawer = Boolean(player) && player.role === "drawer";
+      countMessage(room, player);
+
+      // --- STROKE POINTS (batched by the drawer's page) ---
+      if (parsed.type === "strokePoints") {
+        if (!isDrawer) return;
+
+        const batch = cleanStrokeBatch(parsed);
+        if (!batch) return;
+
+        if (!addStrokePoints(room, batch)) {
+          sendNotice(
+            player,
+            "The canvas is full. Undo or clear some of the drawing to keep going."
+          );
+          return;
+        }
+        saveRoom(room);
 
-        fastify.log.info(
-          { roomId, count: room.drawSegments.length },
-          "Stored drawSegment; total segments now"
+        fastify.log.debug(
+          { roomId, strokeId: batch.strokeId, points: batch.points.length },
+          "Stored stroke points"
         );
 
-        if (socket === room.drawerSocket && room.callerSocket) {
-          room.callerSocket.send(JSON.stringify(parsed));
+        // Everyone except the drawer renders the remote drawing
+        const msg = JSON.stringify({ type: "strokePoints", ...batch });
+        for (const other of room.players) {
+          if (other.kind === "web" && other !== player) other.socket.send(msg);
         }
         return;
       }
 
       // Chat bar for drawer
       if (parsed.type === "drawerChat") {
-        fastify.log.info({ roomId, text: parsed.text }, "Drawer chat message");
-        sendToPhone(room, parsed.text);
+        if (!isDrawer) return;
 
-        if (room.drawerSocket) {
-          room.drawerSocket.send(
-            JSON.stringify({ type: "drawerChat", text: parsed.text })
-          );
-        }
-        if (room.callerSocket) {
-          room.callerSocket.send(
-            JSON.stringify({ type: "drawerChat", text: parsed.text })
-          );
+        const text = cleanChatText(parsed.text);
+        if (!text) return;
+        if (!withinLimit(limits.chat, socket, { roomId, player: player.name })) {
+          sendNotice(player, "Chat is limited to a few messages every few seconds.");
+          return;
         }
+
+        fastify.log.info({ roomId, text }, "Drawer chat message");
+        sendToPhone(room, text);
+        sendToWeb(room, { type: "drawerChat", text });
         return;
       }
 
       // CLear button
       if (parsed.type === "clearCanvas") {
-        room.drawSegments = [];
+        if (!isDrawer) return;
+
+        clearDrawing(room);
+        saveRoom(room);
         fastify.log.info({ roomId }, "Canvas cleared by drawer");
 
-        if (room.drawerSocket) {
-          room.drawerSocket.send(JSON.stringify({ type: "clearCanvas" }));
+        sendToWeb(room, { type: "clearCanvas" });
+        return;
+      }
+
+      // Host letting someone else take the drawer slot, or not
+      if (parsed.type === "answerDrawerRequest") {
+        if (!player || !player.isHost) return;
+
+        const request = room.drawerRequests.find((r) => r.id === parsed.requestId);
+        if (!request) return;
+
+        fastify.log.info(
+          { roomId, name: request.name, allowed: Boolean(parsed.allow) },
+          "Drawer request answered by the host"
+        );
+
+        if (!parsed.allow) {
+          rejectDrawerRequest(room, request, "The host didn't let you draw. You can still join as a guesser.");
+          return;
         }
-        if (room.callerSocket) {
-          room.callerSocket.send(JSON.stringify({ type: "clearCanvas" }));
+
+        room.drawerRequests = room.drawerRequests.filter((r) => r !== request);
+        sendToHosts(room, { type: "drawerRequestClosed", requestId: request.id });
+        joinWebPlayer(room, request.socket, { role: "drawer", name: request.name });
+        return;
+      }
+
+      // Host setting or removing the room PIN (players already in stay)
+      if (parsed.type === "setPin") {
+        if (!player || !player.isHost) return;
+
+        const pin = parsed.pin ? cleanPin(parsed.pin) : null;
+        if (parsed.pin && !pin) {
+          sendNotice(player, `A PIN is ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits.`);
+          return;
         }
+
+        room.pin = pin;
+        saveRoom(room);
+        fastify.log.info({ roomId, pinSet: Boolean(pin) }, "Room PIN changed");
+
+        sendToHosts(room, { type: "host", pinSet: Boolean(pin) });
+        sendNotice(player, pin ? "Room PIN set. New players need it to join." : "Room PIN removed.");
+        return;
+      }
+
+      // Drawer's "Skip word" button, same as a guesser saying skip
+      if (parsed.type === "skipWord") {
+        if (!isDrawer) return;
+
+        fastify.log.info({ roomId, player: player.name }, "Word skipped by drawer");
+        await skipWord(room, player);
+        return;
+      }
+
+      // Undo / redo whole strokes (or a clear) for every client
+      if (parsed.type === "undo" || parsed.type === "redo") {
+        if (!isDrawer) return;
+
+        const changed =
+          parsed.type === "undo" ? undoDrawing(room) : redoDrawing(room);
+        if (!changed) return;
+        saveRoom(room);
+
+        fastify.log.info(
+          { roomId, action: parsed.type, count: room.strokes.length },
+          "Drawing history changed"
+        );
+
+        sendToWeb(room, {
+          type: "redraw",
+          strokes: encodeStrokes(room.strokes),
+        });
+        return;
+      }
+
+      // Round length picker on the drawer's page (applies from the next round)
+      if (parsed.type === "setRoundDuration") {
+        if (!isDrawer) return;
+
+        room.roundDuration = clampRoundDuration(parsed.seconds);
+        saveRoom(room);
+        fastify.log.info(
+          { roomId, roundDuration: room.roundDuration },
+          "Round duration changed"
+        );
+
+        sendToWeb(room, {
+          type: "roundDuration",
+          seconds: room.roundDuration,
+        });
+        return;
+      }
+
+      // Word difficulty picker on the drawer's page (applies from the next word)
+      if (parsed.type === "setDifficulty") {
+        if (!isDrawer) return;
+
+        room.difficulty = cleanDifficulty(parsed.difficulty);
+        saveRoom(room);
+        fastify.log.info(
+          { roomId, difficulty: room.difficulty },
+          "Word difficulty changed"
+        );
+
+        sendToWeb(room, {
+          type: "difficulty",
+          difficulty: room.difficulty,
+        });
+        return;
+      }
+
+      // Family-friendly toggle on the drawer's page
+      if (parsed.type === "setFamilyFriendly") {
+        if (!isDrawer) return;
+
+        room.familyFriendly = Boolean(parsed.enabled);
+        saveRoom(room);
+        fastify.log.info(
+          { roomId, familyFriendly: room.familyFriendly },
+          "Family friendly changed"
+        );
+
+        sendToWeb(room, {
+          type: "familyFriendly",
+          enabled: room.familyFriendly,
+        });
+        return;
+      }
+
+      // Rotate mode toggle on the drawer's page
+      if (parsed.type === "setRotateRoles") {
+        if (!isDrawer) return;
+
+        room.rotateRoles = Boolean(parsed.enabled);
+        saveRoom(room);
+        fastify.log.info(
+          { roomId, rotateRoles: room.rotateRoles },
+          "Rotate roles changed"
+        );
+
+        sendToWeb(room, {
+          type: "rotateRoles",
+          enabled: room.rotateRoles,
+        });
         return;
       }
 
       if (parsed.type === "callerAnswer") {
+        if (!player) return;
+        if (!withinLimit(limits.guesses, socket, { ip, roomId, player: player.name })) return;
+
         fastify.log.info(
-          { roomId, answer: parsed.answer },
-          "Caller browser answered (unused)"
+          { roomId, player: player.name, answer: parsed.answer },
+          "Caller browser answered"
         );
+        await handleWebAnswer(room, player, parsed.answer);
       }
-    });
+    }));
 
     socket.on("close", () => {
-      const roomId = socketRoom.get(socket) || "0000";
-      const room = getRoom(roomId);
-
+      for (const limiter of [limits.webMessages, limits.chat, limits.guesses]) {
+        limiter.forget(socket);
+      }
+      const roomId = socketRoom.get(socket);
       fastify.log.info({ roomId }, "Web WebSocket closed");
-
-      if (room.drawerSocket === socket) room.drawerSocket = null;
-      if (room.callerSocket === socket) room.callerSocket = null;
+      const room = roomId && rooms.get(roomId);
+      if (!room) return;
+
+      const player = leaveRoom(room, socket);
+      if (player) {
+        sendToWeb(room, {
+          type: "status",
+          message:
+            player.name + " left the room. Connected: " + describePlayers(room) + ".",
+        });
+      }
     });
   });
 });
@@ -1292,4 +4427,24 @@ const start = async () => {
   }
 };
 
+// Write any pending room changes before shutting down
+function shutdown(signal) {
+  fastify.log.info({ signal }, "Shutting down");
+  rooms.flushSync();
+  process.exit(0);
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+// Rounds that were running when the server stopped keep counting down
+for (const room of rooms.values()) {
+  resumeRoundTimer(room);
+}
+
+roomEvents.on(ROOM_EVENTS.expired, ({ roomId, idleMs }) => {
+  fastify.log.info({ roomId, idleMinutes: Math.round(idleMs / 60000) }, "Idle room expired");
+});
+setInterval(expireIdleRooms, ROOM_SWEEP_INTERVAL_MS).unref();
+
 start();
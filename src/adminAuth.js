@@ -0,0 +1,24 @@
+import { safeEqual } from "./safeEqual.js";
+
+// Credentials for /admin: ADMIN_TOKEN as the password of HTTP Basic auth (so
+// the browser asks for it, any username works) or as a Bearer token for scripts.
+
+// The secret from an Authorization header, or null
+export function readAdminCredential(header) {
+  const [scheme, value] = (header || "").toString().trim().split(/\s+/, 2);
+  if (!value) return null;
+
+  if (/^bearer$/i.test(scheme)) return value;
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value, "base64").toString("utf8");
+    const split = decoded.indexOf(":");
+    return split === -1 ? null : decoded.slice(split + 1);
+  }
+  return null;
+}
+
+export function isAdminAuthorized(header, adminToken) {
+  if (!adminToken) return false;
+  const credential = readAdminCredential(header);
+  return credential !== null && safeEqual(credential, adminToken);
+}
@@ -0,0 +1,160 @@
+// Drawing state for a room: the strokes on the canvas plus undo/redo history.
+// Strokes are polylines with normalized (0–1) points [x, y, width, time], where
+// the width is a fraction of the canvas width and time is milliseconds since
+// the drawing was reset (used by the round replay).
+
+export const DEFAULT_BRUSH_COLOR = "#f97316";
+export const DEFAULT_BRUSH_WIDTH = 0.006;
+export const MAX_BRUSH_WIDTH = 0.1;
+export const MAX_UNDO_STEPS = 50;
+export const MAX_POINTS_PER_BATCH = 200;
+// Keeps a single room's drawing (and what gets replayed to new clients) bounded,
+// undo/redo history included
+export const MAX_POINTS_PER_ROOM = 20000;
+
+export function resetDrawing(room) {
+  room.drawingStartedAt = Date.now();
+  room.strokes = [];
+  room.undoStack = []; // { kind: "stroke", strokeId } | { kind: "clear", strokes }
+  room.redoStack = []; // { kind: "stroke", stroke } | { kind: "clear" }
+}
+
+// 0–1 coordinate, rounded so stored drawings stay small
+function clampUnit(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 0;
+  return Math.round(Math.min(1, Math.max(0, n)) * 10000) / 10000;
+}
+
+function cleanWidth(value) {
+  const n = Number(value) || DEFAULT_BRUSH_WIDTH;
+  return Math.round(Math.min(MAX_BRUSH_WIDTH, Math.max(0, n)) * 100000) / 100000;
+}
+
+/**
+ * Validate a strokePoints batch from the drawer.
+ * Returns null if there is nothing usable in it.
+ */
+export function cleanStrokeBatch(parsed) {
+  const strokeId = (parsed.strokeId ?? "").toString().slice(0, 40);
+  if (!strokeId || !Array.isArray(parsed.points)) return null;
+
+  const points = parsed.points
+    .slice(0, MAX_POINTS_PER_BATCH)
+    .filter(Array.isArray)
+    .map(([x, y, w]) => [clampUnit(x), clampUnit(y), cleanWidth(w)]);
+  if (points.length === 0) return null;
+
+  // Only keep style values we know how to draw
+  // (a string: ["#ffffff"] would pass the regex too)
+  const color =
+    typeof parsed.color === "string" && /^#[0-9a-f]{6}$/i.test(parsed.color)
+      ? parsed.color.toLowerCase()
+      : DEFAULT_BRUSH_COLOR;
+
+  return { strokeId, color, erase: Boolean(parsed.erase), points };
+}
+
+function sumPoints(strokes) {
+  return strokes.reduce((total, stroke) => total + stroke.points.length, 0);
+}
+
+// Everything the room keeps: the canvas plus cleared drawings and undone
+// strokes waiting in the undo/redo history
+export function countPoints(room) {
+  const cleared = room.undoStack.filter((entry) => entry.kind === "clear");
+  const undone = room.redoStack.filter((entry) => entry.kind === "stroke");
+  return (
+    sumPoints(room.strokes) +
+    cleared.reduce((total, entry) => total + sumPoints(entry.strokes), 0) +
+    sumPoints(undone.map((entry) => entry.stroke))
+  );
+}
+
+// Forget the oldest history that holds points, false when there is none left.
+// Undo steps before a clear only refer to strokes inside it, so they go too.
+function dropOldestHistory(room) {
+  if (room.redoStack.length) {
+    room.redoStack = [];
+    return true;
+  }
+  const oldestClear = room.undoStack.findIndex((entry) => entry.kind === "clear");
+  if (oldestClear === -1) return false;
+  room.undoStack.splice(0, oldestClear + 1);
+  return true;
+}
+
+// keepRedo is for redo itself, anything else new makes the redo history stale
+function pushUndo(room, entry, { keepRedo = false } = {}) {
+  room.undoStack.push(entry);
+  if (room.undoStack.length > MAX_UNDO_STEPS) room.undoStack.shift();
+  if (!keepRedo) room.redoStack = [];
+}
+
+/**
+ * Append a batch to its stroke, starting a new stroke (one undo step) if needed.
+ * Points are stamped with the server's receive time, not the client's clock.
+ * Old history makes room first; returns false when the canvas itself is full.
+ */
+export function addStrokePoints(room, batch, now = Date.now()) {
+  while (countPoints(room) + batch.points.length > MAX_POINTS_PER_ROOM) {
+    if (!dropOldestHistory(room)) return false;
+  }
+
+  // Batches almost always continue the latest stroke
+  let stroke = room.strokes[room.strokes.length - 1];
+  if (!stroke || stroke.id !== batch.strokeId) {
+    stroke = room.strokes.find((s) => s.id === batch.strokeId);
+  }
+
+  if (!stroke) {
+    stroke = {
+      id: batch.strokeId,
+      color: batch.color,
+      erase: batch.erase,
+      points: [],
+    };
+    room.strokes.push(stroke);
+    pushUndo(room, { kind: "stroke", strokeId: stroke.id });
+  }
+
+  const time = now - (room.drawingStartedAt || now);
+  for (const [x, y, w] of batch.points) stroke.points.push([x, y, w, time]);
+  return true;
+}
+
+// Clearing keeps the old drawing around so it can be undone
+export function clearDrawing(room) {
+  if (room.strokes.length === 0) return;
+  pushUndo(room, { kind: "clear", strokes: room.strokes });
+  room.strokes = [];
+}
+
+export function undoDrawing(room) {
+  const entry = room.undoStack.pop();
+  if (!entry) return false;
+
+  if (entry.kind === "stroke") {
+    const stroke = room.strokes.find((s) => s.id === entry.strokeId);
+    room.strokes = room.strokes.filter((s) => s !== stroke);
+    if (stroke) room.redoStack.push({ kind: "stroke", stroke });
+  } else {
+    room.redoStack.push({ kind: "clear" });
+    room.strokes = entry.strokes.concat(room.strokes);
+  }
+  return true;
+}
+
+export function redoDrawing(room) {
+  const entry = room.redoStack.pop();
+  if (!entry) return false;
+
+  if (entry.kind === "stroke") {
+    room.strokes.push(entry.stroke);
+    pushUndo(room, { kind: "stroke", strokeId: entry.stroke.id }, { keepRedo: true });
+  } else {
+    pushUndo(room, { kind: "clear", strokes: room.strokes }, { keepRedo: true });
+    room.strokes = [];
+  }
+  return true;
+}
@@ -0,0 +1,171 @@
+import zlib from "node:zlib";
+
+// Server-side rendering of stored strokes (see src/drawing.js) to SVG and PNG,
+// drawn the same way the /play canvas draws them.
+
+// Same as the /play canvas background and aspect ratio
+export const BACKGROUND_COLOR = "#0b1120";
+export const EXPORT_WIDTH = 800;
+export const EXPORT_HEIGHT = 500;
+
+// Line width between two points, like drawStroke on /play
+function segmentWidth(a, b, width) {
+  return Math.max(1, ((a[2] + b[2]) / 2) * width);
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Erased parts are painted with the background, exports have no transparency
+function strokeColor(stroke) {
+  return stroke.erase ? BACKGROUND_COLOR : stroke.color;
+}
+
+export function renderSvg(strokes, { width = EXPORT_WIDTH, height = EXPORT_HEIGHT } = {}) {
+  const shapes = [];
+
+  for (const stroke of strokes) {
+    const pts = stroke.points;
+    const color = strokeColor(stroke);
+
+    if (pts.length === 1) {
+      const r = round(Math.max(1, pts[0][2] * width) / 2);
+      shapes.push(
+        `<circle cx="${round(pts[0][0] * width)}" cy="${round(pts[0][1] * height)}" r="${r}" fill="${color}"/>`
+      );
+      continue;
+    }
+
+    // One polyline per run of segments with the same width (pen pressure changes it)
+    let run = [pts[0]];
+    let runWidth = segmentWidth(pts[0], pts[1], width);
+    const flush = () => {
+      const coords = run.map((p) => `${round(p[0] * width)},${round(p[1] * height)}`).join(" ");
+      shapes.push(
+        `<polyline points="${coords}" fill="none" stroke="${color}" stroke-width="${round(runWidth)}" stroke-linecap="round" stroke-linejoin="round"/>`
+      );
+    };
+
+    for (let i = 1; i < pts.length; i++) {
+      const w = segmentWidth(pts[i - 1], pts[i], width);
+      if (w !== runWidth) {
+        flush();
+        run = [pts[i - 1]];
+        runWidth = w;
+      }
+      run.push(pts[i]);
+    }
+    flush();
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${BACKGROUND_COLOR}"/>`,
+    ...shapes,
+    "</svg>",
+  ].join("\n");
+}
+
+function parseColor(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// Paint a round-capped line with anti-aliased edges into an RGB buffer
+function paintSegment(pixels, width, height, a, b, radius, rgb) {
+  const minX = Math.max(0, Math.floor(Math.min(a.x, b.x) - radius - 1));
+  const maxX = Math.min(width - 1, Math.ceil(Math.max(a.x, b.x) + radius + 1));
+  const minY = Math.max(0, Math.floor(Math.min(a.y, b.y) - radius - 1));
+  const maxY = Math.min(height - 1, Math.ceil(Math.max(a.y, b.y) + radius + 1));
+
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const px = x + 0.5;
+      const py = y + 0.5;
+      // Distance from the pixel center to the closest point on the segment
+      const t = lengthSq ? Math.min(1, Math.max(0, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq)) : 0;
+      const distance = Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+      const coverage = Math.min(1, Math.max(0, radius + 0.5 - distance));
+      if (coverage === 0) continue;
+
+      const offset = (y * width + x) * 3;
+      for (let c = 0; c < 3; c++) {
+        pixels[offset + c] = Math.round(pixels[offset + c] * (1 - coverage) + rgb[c] * coverage);
+      }
+    }
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+
+  // Every row starts with filter type 0 (none)
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+export function renderPng(strokes, { width = EXPORT_WIDTH, height = EXPORT_HEIGHT } = {}) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const background = parseColor(BACKGROUND_COLOR);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = background[0];
+    pixels[i + 1] = background[1];
+    pixels[i + 2] = background[2];
+  }
+
+  for (const stroke of strokes) {
+    const rgb = parseColor(strokeColor(stroke));
+    const pts = stroke.points;
+    const at = (p) => ({ x: p[0] * width, y: p[1] * height });
+
+    if (pts.length === 1) {
+      paintSegment(pixels, width, height, at(pts[0]), at(pts[0]), Math.max(1, pts[0][2] * width) / 2, rgb);
+      continue;
+    }
+    for (let i = 1; i < pts.length; i++) {
+      const radius = segmentWidth(pts[i - 1], pts[i], width) / 2;
+      paintSegment(pixels, width, height, at(pts[i - 1]), at(pts[i]), radius, rgb);
+    }
+  }
+
+  return encodePng(pixels, width, height);
+}
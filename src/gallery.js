@@ -0,0 +1,34 @@
+// Finished rounds kept per room so the drawings can be browsed and downloaded
+// after the canvas has been reset for the next word.
+
+// Oldest rounds are dropped first
+export const MAX_GALLERY_ROUNDS = 24;
+
+/**
+ * Save the current drawing with its word, theme and outcome.
+ * Rounds where nothing was drawn are skipped.
+ */
+export function archiveRound(room, { outcome, winner = null, drawer = null }) {
+  if (room.strokes.length === 0) return null;
+
+  const entry = {
+    id: room.nextRoundId++,
+    word: room.targetWord,
+    theme: room.theme,
+    outcome,
+    winner,
+    drawer,
+    endedAt: new Date().toISOString(),
+    // Copy, the live strokes keep changing once the next round starts
+    strokes: room.strokes.map((stroke) => ({ ...stroke, points: stroke.points.slice() })),
+    guesses: room.roundGuesses.slice(), // { time, player, guess, outcome }, for the replay
+  };
+
+  room.gallery.push(entry);
+  if (room.gallery.length > MAX_GALLERY_ROUNDS) room.gallery.shift();
+  return entry;
+}
+
+export function findRound(room, id) {
+  return room.gallery.find((entry) => entry.id === Number(id)) || null;
+}
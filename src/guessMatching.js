@@ -0,0 +1,200 @@
+// Guess matching for Pictionary rounds.
+// Speech-to-text is messy, so a guess is compared against the target word after
+// normalizing plurals, spacing ("space ship" vs "spaceship") and common
+// homophones, with a small edit-distance tolerance for near misses.
+
+// Words that sound the same and get mixed up by speech-to-text.
+// Each group collapses to its first entry. Function words ("to", "for", "be")
+// and single letters are left out on purpose, they show up in almost every
+// sentence; see SOLO_HOMOPHONES for those.
+const HOMOPHONE_GROUPS = [
+  ["bear", "bare"],
+  ["pear", "pair", "pare"],
+  ["flower", "flour"],
+  ["knight", "night"],
+  ["sun", "son"],
+  ["tail", "tale"],
+  ["hare", "hair"],
+  ["deer", "dear"],
+  ["mail", "male"],
+  ["nose", "knows"],
+  ["rose", "rows"],
+  ["piece", "peace"],
+  ["plane", "plain"],
+  ["brake", "break"],
+  ["steel", "steal"],
+  ["meat", "meet"],
+  ["road", "rode"],
+  ["rain", "reign", "rein"],
+  ["doe", "dough"],
+  ["board", "bored"],
+  ["horse", "hoarse"],
+  ["moose", "mousse"],
+  ["berry", "bury"],
+  ["flea", "flee"],
+  ["heel", "heal"],
+  ["mane", "main"],
+  ["muscle", "mussel"],
+  ["pie", "pi"],
+  ["sail", "sale"],
+  ["stair", "stare"],
+  ["whale", "wail"],
+  ["ring", "wring"],
+  ["tee", "tea"],
+  ["cue", "queue"],
+];
+
+const HOMOPHONES = new Map();
+for (const group of HOMOPHONE_GROUPS) {
+  for (const word of group) HOMOPHONES.set(word, group[0]);
+}
+
+// Only swapped when they are the whole guess: "see" on its own is probably
+// the sea, "I see a boat" is not
+const SOLO_HOMOPHONES = new Map([
+  ["see", "sea"],
+  ["whole", "hole"],
+  ["which", "witch"],
+  ["not", "knot"],
+  ["made", "maid"],
+  ["ate", "eight"],
+  ["i", "eye"],
+  ["b", "bee"],
+  ["t", "tee"],
+  ["q", "cue"],
+]);
+
+const IRREGULAR_PLURALS = new Map([
+  ["mice", "mouse"],
+  ["geese", "goose"],
+  ["feet", "foot"],
+  ["teeth", "tooth"],
+  ["children", "child"],
+  ["people", "person"],
+  ["men", "man"],
+  ["women", "woman"],
+  ["knives", "knife"],
+  ["leaves", "leaf"],
+  ["wolves", "wolf"],
+  ["loaves", "loaf"],
+  ["shelves", "shelf"],
+  ["octopi", "octopus"],
+  ["cacti", "cactus"],
+]);
+
+// Short words that don't count as "nearly there" on their own
+const FILLER_WORDS = new Set([
+  "a", "an", "the", "of", "and", "or", "in", "on", "it", "is", "its", "to",
+  "my", "guess", "maybe", "think", "that", "this", "with",
+]);
+
+function singularize(word) {
+  if (IRREGULAR_PLURALS.has(word)) return IRREGULAR_PLURALS.get(word);
+  if (word.length <= 3) return word;
+  if (word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !word.endsWith("ss") && !word.endsWith("us")) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+function normalizeToken(token) {
+  const single = singularize(token);
+  return HOMOPHONES.get(token) || HOMOPHONES.get(single) || single;
+}
+
+/**
+ * Lowercase, strip punctuation and split into normalized tokens
+ */
+export function tokenize(text) {
+  return (text || "")
+    .toString()
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(normalizeToken);
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Default tolerance grows with word length so "cat" vs "car" isn't a match
+export function defaultMaxDistance(length) {
+  if (length <= 4) return 0;
+  if (length <= 7) return 1;
+  return 2;
+}
+
+/**
+ * Compare a spoken guess to the target word.
+ * Returns "correct", "warm" (close miss) or "wrong".
+ *
+ * Options:
+ *  - maxDistance: edit distance still counted as correct (default scales with length)
+ *  - warmDistance: extra distance on top of maxDistance that counts as warm
+ *    (default 1 for short words, 2 otherwise)
+ */
+export function matchGuess(guess, target, options = {}) {
+  const targetTokens = tokenize(target);
+  let guessTokens = tokenize(guess);
+  if (!targetTokens.length || !guessTokens.length) return "wrong";
+  if (guessTokens.length === 1 && SOLO_HOMOPHONES.has(guessTokens[0])) {
+    guessTokens = [SOLO_HOMOPHONES.get(guessTokens[0])];
+  }
+
+  // Compare without spaces so "space ship" and "spaceship" line up
+  const targetCompact = targetTokens.join("");
+  const maxDistance =
+    options.maxDistance ?? defaultMaxDistance(targetCompact.length);
+  const warmDistance =
+    options.warmDistance ?? (targetCompact.length <= 4 ? 1 : 2);
+
+  // Slide windows over the guess so extra words around the answer are ignored
+  const maxWindow = Math.min(guessTokens.length, targetTokens.length + 2);
+  let best = Infinity;
+
+  for (let size = 1; size <= maxWindow; size++) {
+    for (let start = 0; start + size <= guessTokens.length; start++) {
+      const candidate = guessTokens.slice(start, start + size).join("");
+      best = Math.min(best, editDistance(candidate, targetCompact));
+      if (best === 0) return "correct";
+    }
+  }
+
+  if (best <= maxDistance) return "correct";
+  // Only warm while most of the word is right, "zzzz" is not close to "pizza"
+  if (best <= maxDistance + warmDistance && best * 2 < targetCompact.length) {
+    return "warm";
+  }
+
+  // Got part of a multi-word answer ("eiffel" for "Eiffel Tower")
+  if (targetTokens.length > 1) {
+    const guessed = new Set(guessTokens);
+    const partial = targetTokens.some(
+      (token) => !FILLER_WORDS.has(token) && token.length > 2 && guessed.has(token)
+    );
+    if (partial) return "warm";
+  }
+
+  return "wrong";
+}
@@ -0,0 +1,63 @@
+// Hints for a stuck guesser, from vague to strong:
+// the category, the first letter and length, the syllable count and finally a
+// clue from the word provider (or the last letter without one).
+
+export const HINT_STEPS = ["category", "letters", "syllables", "clue"];
+
+// "hint", "give me a hint", "can I get a clue" (short phrases only)
+export function isHintRequest(text) {
+  const normalized = (text || "").toString().toLowerCase().trim();
+  return /\b(hint|clue)s?\b/.test(normalized) && normalized.split(/\s+/).length <= 6;
+}
+
+// Rough English syllable count, good enough for a hint
+export function countSyllables(word) {
+  return word
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean)
+    .reduce((total, part) => {
+      const trimmed = part.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "").replace(/^y/, "");
+      const groups = trimmed.match(/[aeiouy]{1,2}/g);
+      return total + Math.max(1, groups ? groups.length : 0);
+    }, 0);
+}
+
+function describeLetters(word) {
+  const parts = word.trim().split(/\s+/);
+  const first = parts[0][0].toUpperCase();
+  if (parts.length > 1) {
+    return `It's ${parts.length} words, and the first one starts with the letter ${first}.`;
+  }
+  return `It starts with the letter ${first} and has ${word.length} letters.`;
+}
+
+/**
+ * Work out the next hint from step onwards, skipping steps that don't apply.
+ * Returns { text, nextStep } or null when there are no hints left.
+ *
+ * category is the theme the word came from (may be null); generateClue is an
+ * optional async function returning a clue without the word, or null.
+ */
+export async function nextHint(step, { word, category, generateClue }) {
+  for (let index = step; index < HINT_STEPS.length; index++) {
+    const kind = HINT_STEPS[index];
+    let text = null;
+
+    if (kind === "category" && category) {
+      text = `It's something to do with ${category}.`;
+    } else if (kind === "letters") {
+      text = describeLetters(word);
+    } else if (kind === "syllables") {
+      const syllables = countSyllables(word);
+      text = `It has ${syllables} syllable${syllables === 1 ? "" : "s"}.`;
+    } else if (kind === "clue") {
+      const clue = generateClue ? await generateClue() : null;
+      const last = word.trim().slice(-1).toUpperCase();
+      text = clue || `It ends with the letter ${last}.`;
+    }
+
+    if (text) return { text, nextStep: index + 1 };
+  }
+  return null;
+}
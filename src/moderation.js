@@ -0,0 +1,188 @@
+import fs from "node:fs";
+import OpenAI from "openai";
+
+// Safety checks for the spoken theme (goes into the AI prompt and is read
+// back out loud) and the generated word (shown to the drawer).
+// A blocklist always runs; an optional moderation model runs after it.
+// Family-friendly rooms use a longer blocklist and reject anything the
+// model flags, other rooms only reject the severe categories.
+
+export const DEFAULT_MODERATION_MODEL = "omni-moderation-latest";
+export const DEFAULT_TIMEOUT_MS = 5000;
+
+// Longer themes are more likely to be instructions than a topic
+export const MAX_THEME_LENGTH = 60;
+
+// Never allowed, whatever the room setting
+const ALWAYS_BLOCKED = [
+  "porn", "porno", "pornography", "rape", "rapist", "nazi", "swastika", "hitler",
+  "dildo", "orgasm", "masturbate", "genocide", "suicide", "pedophile", "molest",
+  "incest", "cunt",
+];
+
+// Also kept out of family-friendly rooms
+const FAMILY_BLOCKED = [
+  "fuck", "fucking", "shit", "bitch", "bastard", "ass", "asshole", "damn", "dick",
+  "cock", "penis", "vagina", "boob", "boobs", "tits", "sex", "sexy", "nude", "naked",
+  "stripper", "condom", "beer", "vodka", "whiskey", "tequila", "drunk", "cocaine",
+  "heroin", "weed", "marijuana", "drug", "cigarette", "vape", "gun", "rifle", "pistol",
+  "bomb", "grenade", "blood", "corpse", "murder", "kill", "terrorist",
+];
+
+// Harmless phrases made of family-blocked words, taken out before the
+// family check so "water gun" or "killer whale" still work as themes
+const FAMILY_SAFE_PHRASES = [
+  "water gun", "squirt gun", "nerf gun", "glue gun", "bubble gun", "gun dog",
+  "bath bomb", "seed bomb", "photo bomb", "bomb pop",
+  "killer whale", "killer bee", "blood orange", "blood moon",
+  "root beer", "ginger beer", "beer belly",
+];
+
+// Model categories that are rejected even when family-friendly is off
+const SEVERE_CATEGORIES = [
+  "sexual/minors",
+  "hate",
+  "hate/threatening",
+  "harassment/threatening",
+  "self-harm/instructions",
+  "violence/graphic",
+  "illicit/violent",
+];
+
+// Themes that try to talk to the model instead of naming a topic
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b.*\b(instructions?|rules|prompt|above|previous|everything)\b/,
+  /\b(system|developer)\s+(prompt|message|instructions?)\b/,
+  /\b(say|respond|reply|output|return|print|write)\s+(with\s+)?(only|exactly|just|the word)\b/,
+  /\b(instead|just)\s+(say|respond|reply|output|return|write)\b/,
+  /\byou are (now|a|an|no longer)\b/,
+  /\b(pretend|roleplay|jailbreak)\b/,
+];
+
+// Undo simple l33t spelling before matching
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s" };
+
+function normalizeText(text) {
+  return (text || "")
+    .toString()
+    .toLowerCase()
+    .replace(/[013457@$]/g, (ch) => LEET[ch]);
+}
+
+function tokens(text) {
+  return normalizeText(text).split(/[^a-z]+/).filter(Boolean);
+}
+
+// Plain-text blocklist file, one word per line, # for comments
+export function readBlocklistFile(filePath) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+/**
+ * Build the moderator.
+ * type: "openai" adds the OpenAI moderation model, anything else is blocklist only.
+ * checkTheme/checkWord/checkClue resolve to { ok: true } or { ok: false, reason };
+ * a theme over MAX_THEME_LENGTH also has tooLong: true.
+ */
+export function createModerator({
+  type,
+  apiKey,
+  model = DEFAULT_MODERATION_MODEL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  extraBlockedWords = [],
+  logger = console,
+} = {}) {
+  const alwaysBlocked = new Set([...ALWAYS_BLOCKED, ...extraBlockedWords]);
+  const familyBlocked = new Set(FAMILY_BLOCKED);
+
+  let client = null;
+  if ((type || "").toLowerCase() === "openai") {
+    if (apiKey) client = new OpenAI({ apiKey });
+    else logger.warn("MODERATION=openai but OPENAI_API_KEY is not set, using the blocklist only.");
+  }
+
+  function blockedWord(text, familyFriendly) {
+    const words = tokens(text);
+    // Multi-word entries ("hot dog" style) are matched on the joined text
+    const joined = ` ${words.join(" ")} `;
+
+    const isBlocked = (list, word) => [word, word.replace(/e?s$/, "")].some((form) => list.has(form));
+
+    for (const word of words) {
+      if (isBlocked(alwaysBlocked, word)) return word;
+    }
+    if (familyFriendly) {
+      let familyText = joined;
+      for (const phrase of FAMILY_SAFE_PHRASES) {
+        // Plurals too: "water guns", "bath bombs"
+        familyText = familyText.replace(new RegExp(` ${phrase}(?:e?s)?(?= )`, "g"), "");
+      }
+      const word = familyText.split(" ").find((candidate) => candidate && isBlocked(familyBlocked, candidate));
+      if (word) return word;
+    }
+    for (const entry of alwaysBlocked) {
+      if (entry.includes(" ") && joined.includes(` ${entry} `)) return entry;
+    }
+    return null;
+  }
+
+  // Fails open: the blocklist already ran and a moderation outage shouldn't stop the game
+  async function modelCheck(text, familyFriendly) {
+    if (!client) return { ok: true };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await client.moderations.create(
+        { model, input: text },
+        { signal: controller.signal }
+      );
+      const result = response.results[0];
+      if (!result?.flagged) return { ok: true };
+
+      const flagged = Object.keys(result.categories).filter((name) => result.categories[name]);
+      const rejected = familyFriendly
+        ? flagged
+        : flagged.filter((name) => SEVERE_CATEGORIES.includes(name));
+      return rejected.length
+        ? { ok: false, reason: `flagged by moderation (${rejected.join(", ")})` }
+        : { ok: true };
+    } catch (err) {
+      logger.warn(`Moderation check failed, allowing: ${err.message}`);
+      return { ok: true };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function checkText(text, familyFriendly) {
+    const word = blockedWord(text, familyFriendly);
+    if (word) return { ok: false, reason: `blocked word "${word}"` };
+    return modelCheck(text, familyFriendly);
+  }
+
+  return {
+    async checkTheme(theme, { familyFriendly = true } = {}) {
+      const text = (theme || "").toString().trim();
+      if (text.length > MAX_THEME_LENGTH) return { ok: false, reason: "theme too long", tooLong: true };
+
+      const normalized = normalizeText(text);
+      if (INJECTION_PATTERNS.some((pattern) => pattern.test(normalized))) {
+        return { ok: false, reason: "looks like instructions, not a theme" };
+      }
+      return checkText(text, familyFriendly);
+    },
+
+    async checkWord(word, { familyFriendly = true } = {}) {
+      return checkText(word, familyFriendly);
+    },
+
+    async checkClue(clue, { familyFriendly = true } = {}) {
+      return checkText(clue, familyFriendly);
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// Token bucket rate limits, keyed by whatever the caller likes (a socket, an
+// IP address, a room id). Every key starts with `burst` tokens that refill at
+// `perSecond`; a message or request that finds its bucket empty is refused.
+
+export const DEFAULT_WARN_INTERVAL_MS = 10000;
+export const DEFAULT_MAX_KEYS = 10000;
+
+/**
+ * name shows up in the warnings. take(key) returns false when key is over the
+ * limit, allows(key) says whether it would without using a token; warnDue(key) is true at most once per warnIntervalMs per key, so a
+ * flood of refused messages doesn't flood the log as well.
+ */
+export function createRateLimiter({
+  name,
+  perSecond,
+  burst = perSecond,
+  warnIntervalMs = DEFAULT_WARN_INTERVAL_MS,
+  maxKeys = DEFAULT_MAX_KEYS,
+}) {
+  const buckets = new Map();
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+  }
+
+  // Full buckets behave exactly like new ones, so they can go
+  function prune(now) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= burst) buckets.delete(key);
+    }
+    // Still too many (a flood of new keys): drop the oldest
+    for (const key of buckets.keys()) {
+      if (buckets.size < maxKeys) break;
+      buckets.delete(key);
+    }
+  }
+
+  return {
+    name,
+
+    take(key, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        if (buckets.size >= maxKeys) prune(now);
+        bucket = { tokens: burst, updatedAt: now, warnedAt: -Infinity };
+        buckets.set(key, bucket);
+      }
+
+      refill(bucket, now);
+      if (bucket.tokens < 1) return false;
+      bucket.tokens -= 1;
+      return true;
+    },
+
+    allows(key, now = Date.now()) {
+      const bucket = buckets.get(key);
+      if (!bucket) return true;
+      refill(bucket, now);
+      return bucket.tokens >= 1;
+    },
+
+    warnDue(key, now = Date.now()) {
+      const bucket = buckets.get(key);
+      if (!bucket || now - bucket.warnedAt < warnIntervalMs) return false;
+      bucket.warnedAt = now;
+      return true;
+    },
+
+    // For keys that are gone for good, like a closed socket
+    forget(key) {
+      buckets.delete(key);
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import crypto from "node:crypto";
+import { safeEqual } from "./safeEqual.js";
+
+// Who may join a room from the website.
+// The first drawer claims the room and gets a host token that their browser
+// keeps; after that the drawer slot needs the token or the host's OK, so a
+// guessed room code no longer shows a stranger the word. Whoever rotate mode
+// makes the drawer gets a drawer token for that turn, so a refresh keeps them
+// drawing. A room can also have a PIN that every other web player (and caller)
+// has to enter.
+
+export const MIN_PIN_LENGTH = 4;
+export const MAX_PIN_LENGTH = 8;
+
+// Host and drawer tokens
+export function createAccessToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+// Digits only; null when it isn't a usable PIN
+export function cleanPin(raw) {
+  const pin = (raw ?? "").toString().trim();
+  if (!/^\d+$/.test(pin)) return null;
+  if (pin.length < MIN_PIN_LENGTH || pin.length > MAX_PIN_LENGTH) return null;
+  return pin;
+}
+
+export function isHostToken(room, token) {
+  return Boolean(room.hostToken) && safeEqual(token, room.hostToken);
+}
+
+export function isDrawerToken(room, token) {
+  return Boolean(room.drawerToken) && safeEqual(token, room.drawerToken);
+}
+
+export function checkPin(room, pin) {
+  return !room.pin || safeEqual(pin, room.pin);
+}
+
+// The gallery of a PIN room is for its players too: the PIN or the host token
+export function canViewGallery(room, { pin, token }) {
+  return checkPin(room, pin) || isHostToken(room, token);
+}
+
+/**
+ * Decide a joinWeb request.
+ * Returns { ok: true, isHost } or { ok: false, reason, message } where reason is
+ * "pinRequired" | "badPin" | "needsApproval" (ask the host) | "drawerClaimed".
+ */
+export function checkWebJoin(room, { role, token, drawerToken, pin, hostOnline }) {
+  const isHost = isHostToken(room, token);
+
+  if (!isHost && !checkPin(room, pin)) {
+    return pin
+      ? { ok: false, reason: "badPin", message: "That PIN doesn't match this room." }
+      : { ok: false, reason: "pinRequired", message: "This room needs a PIN to join." };
+  }
+
+  if (role === "drawer" && room.hostToken && !isHost && !isDrawerToken(room, drawerToken)) {
+    return hostOnline
+      ? { ok: false, reason: "needsApproval", message: "Waiting for the host to let you draw..." }
+      : {
+          ok: false,
+          reason: "drawerClaimed",
+          message: "This room already has a host and only they can let someone else draw. Join as a guesser, or ask the host to open the page.",
+        };
+  }
+
+  return { ok: true, isHost };
+}
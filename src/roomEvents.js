@@ -0,0 +1,30 @@
+import { EventEmitter } from "node:events";
+
+// Internal event bus for the room lifecycle, so logging, stats and the like can
+// follow rooms without being wired into the game code.
+// Every listener gets one object: { type, at, roomId, ...details }.
+
+export const ROOM_EVENTS = {
+  created: "roomCreated",
+  playerJoined: "playerJoined", // + player: { id, name, kind, role }
+  playerLeft: "playerLeft", // + player: { id, name, kind, role }
+  expired: "roomExpired", // + idleMs
+};
+
+export function createRoomEvents({ logger = console } = {}) {
+  const emitter = new EventEmitter();
+
+  return {
+    on: (type, listener) => emitter.on(type, listener),
+    off: (type, listener) => emitter.off(type, listener),
+
+    // A broken listener shouldn't break the game
+    emit(type, details) {
+      try {
+        emitter.emit(type, { type, at: Date.now(), ...details });
+      } catch (err) {
+        logger.error(`Room event listener for ${type} failed:`, err);
+      }
+    },
+  };
+}
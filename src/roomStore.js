@@ -0,0 +1,159 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Room storage behind getRoom/resetRoom.
+// Live rooms are always served from memory because they hold sockets and
+// timers. The file store additionally mirrors the fields below to a JSON file
+// so games survive a restart.
+
+// Only plain data goes to disk, never sockets or timer handles
+export const PERSISTED_FIELDS = [
+  "id",
+  "mode",
+  "targetWord",
+  "strokes",
+  "drawingStartedAt",
+  "undoStack",
+  "redoStack",
+  "theme",
+  "roundDuration",
+  "difficulty",
+  "usedWords",
+  "rotateRoles",
+  "familyFriendly",
+  "roundEndsAt",
+  "wrongGuesses",
+  "hintStep",
+  "hintsUsed",
+  "roundGuesses",
+  "scores",
+  "gallery",
+  "nextRoundId",
+  "hostToken",
+  "drawerToken",
+  "pin",
+  "lastActivityAt",
+];
+
+export function serializeRoom(room) {
+  const data = {};
+  for (const field of PERSISTED_FIELDS) {
+    if (room[field] !== undefined) data[field] = room[field];
+  }
+  return data;
+}
+
+/**
+ * Plain in-memory store, everything is lost on restart
+ */
+export function createMemoryRoomStore() {
+  const rooms = new Map();
+
+  return {
+    type: "memory",
+    get: (id) => rooms.get(id),
+    set: (id, room) => rooms.set(id, room),
+    delete: (id) => rooms.delete(id),
+    values: () => rooms.values(),
+    save() {},
+    flushSync() {},
+  };
+}
+
+/**
+ * In-memory store that writes the rooms to a JSON file (debounced)
+ * and restores them on startup using createRoom for the live-only fields.
+ */
+export function createFileRoomStore({ filePath, createRoom, writeDelayMs = 500, logger = console }) {
+  const rooms = new Map();
+  let writeTimer = null;
+  let writing = false;
+  let pendingWrite = false;
+
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      for (const data of Object.values(saved.rooms || {})) {
+        if (!data || !data.id) continue;
+        rooms.set(data.id, Object.assign(createRoom(data.id), data));
+      }
+      logger.info(`Restored ${rooms.size} room(s) from ${filePath}`);
+    }
+  } catch (err) {
+    logger.error(`Could not restore rooms from ${filePath}:`, err);
+  }
+
+  function snapshot() {
+    const data = { savedAt: new Date().toISOString(), rooms: {} };
+    for (const [id, room] of rooms) data.rooms[id] = serializeRoom(room);
+    return JSON.stringify(data);
+  }
+
+  // Write to a temp file first so a crash mid-write can't corrupt the store
+  async function write() {
+    if (writing) {
+      pendingWrite = true;
+      return;
+    }
+    writing = true;
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot());
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (err) {
+      logger.error(`Could not save rooms to ${filePath}:`, err);
+    } finally {
+      writing = false;
+      if (pendingWrite) {
+        pendingWrite = false;
+        scheduleWrite();
+      }
+    }
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      write();
+    }, writeDelayMs);
+    writeTimer.unref();
+  }
+
+  return {
+    type: "file",
+    get: (id) => rooms.get(id),
+    set(id, room) {
+      rooms.set(id, room);
+      scheduleWrite();
+    },
+    delete(id) {
+      rooms.delete(id);
+      scheduleWrite();
+    },
+    values: () => rooms.values(),
+    save: () => scheduleWrite(),
+    // Used on shutdown so the last few changes aren't lost
+    flushSync() {
+      if (writeTimer) clearTimeout(writeTimer);
+      writeTimer = null;
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, snapshot());
+      } catch (err) {
+        logger.error(`Could not save rooms to ${filePath}:`, err);
+      }
+    },
+  };
+}
+
+/**
+ * Pick the store from ROOM_STORE ("memory" or "file")
+ */
+export function createRoomStore({ type, filePath, createRoom, logger }) {
+  if ((type || "memory").toLowerCase() === "file") {
+    return createFileRoomStore({ filePath, createRoom, logger });
+  }
+  return createMemoryRoomStore();
+}
@@ -0,0 +1,9 @@
+import crypto from "node:crypto";
+
+// Constant-time string compare for secrets (tokens, PINs, signatures), so the
+// time a wrong guess takes doesn't tell how much of it was right
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a ?? ""));
+  const right = Buffer.from(String(b ?? ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
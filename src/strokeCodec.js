@@ -0,0 +1,56 @@
+// Compact encoding for stored strokes, used by initDrawing and redraw.
+// Each stroke's points ([x, y, width], normalized) are quantized to integers
+// and delta-encoded into one flat array, which is far smaller as JSON than
+// an array of objects. Point timestamps are left out, live clients don't need them.
+
+const COORD_SCALE = 10000; // 4 decimal places for 0–1 coordinates
+const WIDTH_SCALE = 100000; // widths are small fractions of the canvas width
+
+export function encodeStroke(stroke) {
+  const data = [];
+  let prevX = 0;
+  let prevY = 0;
+  let prevW = 0;
+
+  for (const [x, y, w] of stroke.points) {
+    const qx = Math.round(x * COORD_SCALE);
+    const qy = Math.round(y * COORD_SCALE);
+    const qw = Math.round(w * WIDTH_SCALE);
+    data.push(qx - prevX, qy - prevY, qw - prevW);
+    prevX = qx;
+    prevY = qy;
+    prevW = qw;
+  }
+
+  return {
+    id: stroke.id,
+    c: stroke.color,
+    e: stroke.erase ? 1 : 0,
+    d: data,
+  };
+}
+
+export function decodeStroke(encoded) {
+  const points = [];
+  let x = 0;
+  let y = 0;
+  let w = 0;
+
+  for (let i = 0; i + 2 < encoded.d.length; i += 3) {
+    x += encoded.d[i];
+    y += encoded.d[i + 1];
+    w += encoded.d[i + 2];
+    points.push([x / COORD_SCALE, y / COORD_SCALE, w / WIDTH_SCALE]);
+  }
+
+  return {
+    id: encoded.id,
+    color: encoded.c,
+    erase: encoded.e === 1,
+    points,
+  };
+}
+
+export function encodeStrokes(strokes) {
+  return strokes.map(encodeStroke);
+}
@@ -0,0 +1,81 @@
+import crypto from "node:crypto";
+import { safeEqual } from "./safeEqual.js";
+
+// Checks that requests really come from Twilio.
+// Webhooks carry an X-Twilio-Signature header: an HMAC-SHA1 (keyed with the
+// account auth token) of the full URL plus any POST params, sorted by name.
+// The phone WebSocket doesn't get one we can rely on, so /start-relay puts a
+// short-lived signed token in the ConversationRelay URL and /ws checks it.
+
+export const DEFAULT_RELAY_TOKEN_TTL_SECONDS = 60;
+
+function hmac(algorithm, key, data, encoding) {
+  return crypto.createHmac(algorithm, key).update(data, "utf8").digest(encoding);
+}
+
+/**
+ * The signature Twilio sends for url and params (the POST body, {} for GET).
+ * Used to check incoming webhooks and by scripts/sign-twilio-request.js.
+ */
+export function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((text, key) => {
+      const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+      return text + values.map((value) => key + value).join("");
+    }, url);
+  return hmac("sha1", authToken, data, "base64");
+}
+
+// Twilio may sign the URL with or without the default port, so accept both
+function urlVariants(url) {
+  const defaultPort = url.startsWith("https:") ? "443" : "80";
+  // Spliced by hand: URL drops default ports, so it can't add or remove them
+  const match = url.match(/^([a-z][a-z0-9+.-]*:\/\/[^/?#]*?)(?::(\d+))?([/?#].*)?$/i);
+  if (!match) return [url];
+  const [, origin, port, rest = ""] = match;
+  if (!port) return [url, `${origin}:${defaultPort}${rest}`];
+  return port === defaultPort ? [url, `${origin}${rest}`] : [url];
+}
+
+export function validateTwilioSignature(authToken, signature, url, params = {}) {
+  if (!signature) return false;
+  return urlVariants(url).some((variant) =>
+    safeEqual(computeTwilioSignature(authToken, variant, params), signature)
+  );
+}
+
+function relaySignature(secret, roomId, expiresAt) {
+  return hmac("sha256", secret, `relay:${roomId}:${expiresAt}`, "base64url");
+}
+
+/**
+ * Token for one room's ConversationRelay URL: "<expiresAt>.<signature>".
+ * Only valid for that room until expiresAt (unix seconds).
+ */
+export function createRelayToken(
+  secret,
+  roomId,
+  { ttlSeconds = DEFAULT_RELAY_TOKEN_TTL_SECONDS, now = Date.now() } = {}
+) {
+  const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+  return `${expiresAt}.${relaySignature(secret, roomId, expiresAt)}`;
+}
+
+export function verifyRelayToken(secret, token, roomId, { now = Date.now() } = {}) {
+  const [expiresText, signature] = (token || "").toString().split(".");
+  const expiresAt = Number(expiresText);
+  if (!Number.isInteger(expiresAt) || !signature) return false;
+  if (expiresAt * 1000 < now) return false;
+  return safeEqual(relaySignature(secret, roomId, expiresAt), signature);
+}
+
+// For attribute values and text in TwiML
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
@@ -0,0 +1,29 @@
+// Round commands a guesser can say (or type) instead of a guess.
+// Only short phrases count, so guesses like "mountain pass" or "skipping rope"
+// still go through as guesses.
+
+const MAX_COMMAND_WORDS = 4;
+
+const COMMANDS = [
+  ["giveUp", /\b(i give up|give up|surrender)\b/],
+  ["skip", /^(skip|pass)\b|\b(skip|pass) (it|this|this one|this word|the word)\b|\bnew word\b/],
+  ["repeat", /\b(repeat|say (that|it) again|come again)\b/],
+];
+
+/**
+ * "skip", "giveUp", "repeat" or null when the text isn't a command
+ */
+export function matchCommand(text) {
+  const normalized = (text || "")
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .trim()
+    .replace(/\s+/g, " ");
+  if (!normalized || normalized.split(" ").length > MAX_COMMAND_WORDS) return null;
+
+  for (const [command, pattern] of COMMANDS) {
+    if (pattern.test(normalized)) return command;
+  }
+  return null;
+}
@@ -0,0 +1,340 @@
+import fs from "node:fs";
+import path from "node:path";
+import { tokenize, editDistance } from "./guessMatching.js";
+
+// Offline word bank: words grouped by theme and difficulty.
+// The spoken theme is matched to the closest theme here, so rounds work
+// without an AI key. Extra word lists can be loaded from JSON or CSV files.
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// "mixed" picks from every difficulty
+export const DEFAULT_DIFFICULTY = "mixed";
+
+// Spoken words that choose a difficulty ("something hard with animals")
+const DIFFICULTY_WORDS = new Map([
+  ["easy", "easy"],
+  ["simple", "easy"],
+  ["beginner", "easy"],
+  ["medium", "medium"],
+  ["normal", "medium"],
+  ["hard", "hard"],
+  ["difficult", "hard"],
+  ["tricky", "hard"],
+  ["expert", "hard"],
+]);
+
+// Words in a theme request that say nothing about the theme
+const REQUEST_FILLER = new Set([
+  "a", "an", "the", "of", "and", "or", "in", "on", "it", "is", "to", "my",
+  "me", "give", "let", "lets", "do", "something", "some", "word", "theme",
+  "please", "about", "with", "like", "um", "uh", "how", "one", "thing",
+]);
+
+// Custom words: letters, digits, spaces, hyphens and apostrophes only
+const WORD_PATTERN = /^[a-z0-9][a-z0-9 '\-]*$/i;
+const MAX_WORD_LENGTH = 40;
+
+export const BUILTIN_WORDS = {
+  animals: {
+    aliases: ["animal", "pets", "zoo", "farm", "wildlife", "jungle", "safari"],
+    easy: ["cat", "dog", "fish", "bird", "snake", "cow", "pig", "duck", "frog", "bear"],
+    medium: ["giraffe", "elephant", "penguin", "kangaroo", "octopus", "turtle", "rabbit", "owl", "zebra", "camel"],
+    hard: ["platypus", "chameleon", "armadillo", "porcupine", "flamingo", "hedgehog", "jellyfish", "peacock"],
+  },
+  food: {
+    aliases: ["foods", "cooking", "kitchen", "snack", "dinner", "lunch", "breakfast", "fruit", "dessert"],
+    easy: ["pizza", "apple", "banana", "egg", "cake", "cookie", "bread", "cheese", "carrot", "ice cream"],
+    medium: ["hamburger", "spaghetti", "sandwich", "pancake", "popcorn", "taco", "donut", "watermelon", "pineapple"],
+    hard: ["sushi", "croissant", "pretzel", "lasagna", "burrito", "fortune cookie", "corn on the cob"],
+  },
+  space: {
+    aliases: ["outer space", "planets", "astronomy", "galaxy", "universe", "stars", "sci fi"],
+    easy: ["sun", "moon", "star", "rocket", "planet"],
+    medium: ["spaceship", "astronaut", "alien", "comet", "telescope", "satellite", "meteor"],
+    hard: ["black hole", "space station", "constellation", "solar eclipse", "lunar rover", "nebula"],
+  },
+  halloween: {
+    aliases: ["spooky", "scary", "horror", "october", "trick or treat", "monsters"],
+    easy: ["ghost", "pumpkin", "bat", "witch", "spider", "candy"],
+    medium: ["skeleton", "vampire", "zombie", "haunted house", "cauldron", "broomstick", "mummy"],
+    hard: ["werewolf", "jack o lantern", "tombstone", "cobweb", "frankenstein", "scarecrow"],
+  },
+  christmas: {
+    aliases: ["xmas", "holidays", "holiday", "winter holiday", "santa", "december", "festive"],
+    easy: ["present", "snowman", "tree", "candle", "bell", "star"],
+    medium: ["reindeer", "stocking", "candy cane", "sleigh", "wreath", "gingerbread man", "elf"],
+    hard: ["nutcracker", "mistletoe", "chimney", "ornament", "snow globe", "advent calendar"],
+  },
+  sports: {
+    aliases: ["sport", "games", "olympics", "fitness", "exercise", "gym"],
+    easy: ["ball", "bat", "goal", "bike", "skate"],
+    medium: ["basketball", "soccer", "tennis", "skateboard", "surfboard", "trophy", "bowling", "helmet"],
+    hard: ["archery", "javelin", "scuba diving", "pole vault", "trampoline", "hockey stick"],
+  },
+  music: {
+    aliases: ["instruments", "instrument", "band", "concert", "songs", "rock"],
+    easy: ["drum", "guitar", "piano", "bell", "radio"],
+    medium: ["trumpet", "violin", "microphone", "headphones", "saxophone", "harp", "flute"],
+    hard: ["accordion", "xylophone", "tuba", "bagpipes", "conductor", "record player"],
+  },
+  ocean: {
+    aliases: ["sea", "beach", "underwater", "marine", "summer", "pirates", "pirate"],
+    easy: ["fish", "boat", "shell", "wave", "crab", "whale"],
+    medium: ["shark", "dolphin", "anchor", "lighthouse", "starfish", "seahorse", "sandcastle"],
+    hard: ["submarine", "coral reef", "treasure chest", "shipwreck", "stingray", "message in a bottle"],
+  },
+  vehicles: {
+    aliases: ["vehicle", "transport", "transportation", "cars", "travel", "things that go"],
+    easy: ["car", "bus", "train", "boat", "plane", "bike"],
+    medium: ["helicopter", "tractor", "motorcycle", "fire truck", "ambulance", "sailboat", "scooter"],
+    hard: ["hot air balloon", "bulldozer", "steam engine", "cable car", "forklift", "tandem bicycle"],
+  },
+  home: {
+    aliases: ["house", "household", "furniture", "bedroom", "everyday objects"],
+    easy: ["chair", "bed", "door", "lamp", "cup", "clock", "key", "spoon"],
+    medium: ["toothbrush", "umbrella", "television", "sofa", "scissors", "mirror", "ladder", "teapot"],
+    hard: ["chandelier", "vacuum cleaner", "washing machine", "rocking chair", "bookshelf", "fireplace"],
+  },
+  nature: {
+    aliases: ["outdoors", "weather", "plants", "garden", "forest", "camping", "landscape"],
+    easy: ["tree", "flower", "sun", "cloud", "rain", "leaf", "mountain"],
+    medium: ["rainbow", "volcano", "waterfall", "cactus", "tornado", "mushroom", "campfire", "tent"],
+    hard: ["avalanche", "glacier", "stalactite", "venus flytrap", "northern lights", "quicksand"],
+  },
+  fantasy: {
+    aliases: ["fairy tale", "fairy tales", "magic", "medieval", "myths", "legends", "knights"],
+    easy: ["castle", "crown", "king", "queen", "sword"],
+    medium: ["dragon", "unicorn", "wizard", "mermaid", "fairy", "knight", "treasure map"],
+    hard: ["griffin", "magic carpet", "genie lamp", "drawbridge", "phoenix", "crystal ball"],
+  },
+  jobs: {
+    aliases: ["job", "work", "occupations", "professions", "careers", "people"],
+    easy: ["doctor", "chef", "farmer", "teacher", "pilot"],
+    medium: ["firefighter", "police officer", "astronaut", "dentist", "mail carrier", "painter"],
+    hard: ["lifeguard", "plumber", "lumberjack", "magician", "beekeeper", "referee"],
+  },
+};
+
+function cleanWord(value) {
+  const word = (value ?? "").toString().trim().replace(/\s+/g, " ").toLowerCase();
+  if (!word || word.length > MAX_WORD_LENGTH || !WORD_PATTERN.test(word)) return null;
+  return word;
+}
+
+function cleanDifficulty(value) {
+  const difficulty = (value ?? "").toString().trim().toLowerCase();
+  return DIFFICULTIES.includes(difficulty) ? difficulty : "medium";
+}
+
+function randomItem(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function parseCsvLine(line) {
+  return line.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+}
+
+/**
+ * Read a custom word list. Two formats:
+ *  - JSON: { "theme": { "aliases": [...], "easy": [...], "medium": [...], "hard": [...] } }
+ *    or { "theme": ["word", ...] } for words of medium difficulty
+ *  - CSV: one "word,theme,difficulty" per line (difficulty defaults to medium,
+ *    a "word,..." header line and # comments are skipped)
+ * Returns the same shape as BUILTIN_WORDS.
+ */
+export function readWordFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+
+  if (path.extname(filePath).toLowerCase() === ".csv") {
+    const themes = {};
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim() || line.trim().startsWith("#")) continue;
+      const [word, theme, difficulty] = parseCsvLine(line);
+      if (word.toLowerCase() === "word") continue;
+
+      const name = (theme || "custom").toLowerCase();
+      themes[name] = themes[name] || {};
+      const tier = cleanDifficulty(difficulty);
+      (themes[name][tier] = themes[name][tier] || []).push(word);
+    }
+    return themes;
+  }
+
+  const data = JSON.parse(text);
+  const themes = {};
+  for (const [name, entry] of Object.entries(data)) {
+    themes[name.toLowerCase()] = Array.isArray(entry) ? { medium: entry } : entry;
+  }
+  return themes;
+}
+
+/**
+ * Build the word bank from the bundled words plus any custom list files.
+ * Files that can't be read are skipped with a warning.
+ */
+export function createWordBank({ files = [], logger = console } = {}) {
+  const themes = new Map(); // name -> { name, keywords, words: { easy, medium, hard } }
+
+  function addThemes(source) {
+    for (const [rawName, entry] of Object.entries(source)) {
+      const name = rawName.trim().toLowerCase();
+      if (!name || !entry) continue;
+
+      let theme = themes.get(name);
+      if (!theme) {
+        theme = {
+          name,
+          keywords: [tokenize(name)],
+          words: { easy: new Set(), medium: new Set(), hard: new Set() },
+        };
+        themes.set(name, theme);
+      }
+
+      for (const alias of entry.aliases || []) {
+        const tokens = tokenize(alias);
+        if (tokens.length) theme.keywords.push(tokens);
+      }
+      for (const difficulty of DIFFICULTIES) {
+        for (const value of entry[difficulty] || []) {
+          const word = cleanWord(value);
+          if (word) theme.words[difficulty].add(word);
+        }
+      }
+    }
+  }
+
+  addThemes(BUILTIN_WORDS);
+
+  for (const file of files) {
+    try {
+      addThemes(readWordFile(file));
+      logger.info(`Loaded custom word list ${file}`);
+    } catch (err) {
+      logger.warn(`Could not load word list ${file}: ${err.message}`);
+    }
+  }
+
+  // Single-token words point back at their themes ("draw me a dog" -> animals)
+  const wordThemes = new Map();
+  for (const theme of themes.values()) {
+    for (const difficulty of DIFFICULTIES) {
+      for (const word of theme.words[difficulty]) {
+        const tokens = tokenize(word);
+        if (tokens.length !== 1) continue;
+        if (!wordThemes.has(tokens[0])) wordThemes.set(tokens[0], new Set());
+        wordThemes.get(tokens[0]).add(theme.name);
+      }
+    }
+  }
+
+  // Higher is a better match, 0 means the theme wasn't mentioned
+  function scoreTheme(theme, tokens) {
+    let best = 0;
+    theme.keywords.forEach((keyword, index) => {
+      // Whole theme name (keywords[0]) or alias said out loud, the name wins ties
+      if (keyword.every((token) => tokens.includes(token))) {
+        best = Math.max(best, (index === 0 ? 3 : 2) + keyword.length);
+        return;
+      }
+      // Misheard single-word themes ("haloween", "christmass")
+      if (
+        keyword.length === 1 &&
+        keyword[0].length >= 5 &&
+        tokens.some((token) => editDistance(token, keyword[0]) <= 1)
+      ) {
+        best = Math.max(best, 2);
+      }
+      // Part of a longer theme name ("bath" for "bath time")
+      if (keyword.some((token) => token.length >= 4 && tokens.includes(token))) {
+        best = Math.max(best, 1.5);
+      }
+    });
+    if (best === 0 && tokens.some((token) => wordThemes.get(token)?.has(theme.name))) {
+      best = 1;
+    }
+    return best;
+  }
+
+  /**
+   * Turn what the caller said into a theme and difficulty.
+   * Either can be null when nothing matched.
+   */
+  function parseRequest(text) {
+    const tokens = tokenize(text);
+    let difficulty = null;
+    const topic = [];
+
+    for (const token of tokens) {
+      if (DIFFICULTY_WORDS.has(token)) difficulty = DIFFICULTY_WORDS.get(token);
+      else if (!REQUEST_FILLER.has(token)) topic.push(token);
+    }
+
+    let theme = null;
+    let bestScore = 0;
+    for (const candidate of themes.values()) {
+      const score = scoreTheme(candidate, topic);
+      if (score > bestScore) {
+        bestScore = score;
+        theme = candidate.name;
+      }
+    }
+
+    return { theme, difficulty };
+  }
+
+  /**
+   * Pick a random word, optionally limited to a theme and difficulty, skipping
+   * the words in exclude (already played, oldest first).
+   * Loosens the filters when they leave nothing to choose from. When every
+   * word that fits was already played, exhausted lists those words so the
+   * caller can forget them and start the category over.
+   */
+  function pickWord({ theme = null, difficulty = DEFAULT_DIFFICULTY, exclude = [] } = {}) {
+    const pools = theme && themes.has(theme) ? [themes.get(theme)] : [...themes.values()];
+    const tiers = DIFFICULTIES.includes(difficulty) ? [difficulty] : DIFFICULTIES;
+
+    const candidates = [];
+    for (const pool of pools) {
+      for (const tier of tiers) {
+        for (const word of pool.words[tier]) candidates.push({ word, theme: pool.name, difficulty: tier });
+      }
+    }
+
+    if (candidates.length === 0) {
+      if (DIFFICULTIES.includes(difficulty)) {
+        return pickWord({ theme, difficulty: DEFAULT_DIFFICULTY, exclude });
+      }
+      if (theme) return pickWord({ difficulty, exclude });
+      return null;
+    }
+
+    const played = new Set(exclude);
+    const fresh = candidates.filter((candidate) => !played.has(candidate.word));
+    if (fresh.length > 0) return randomItem(fresh);
+
+    // Everything was played: start over, just not with the word from last round
+    const last = exclude[exclude.length - 1];
+    const notLast = candidates.filter((candidate) => candidate.word !== last);
+    return {
+      ...randomItem(notLast.length ? notLast : candidates),
+      exhausted: [...new Set(candidates.map((candidate) => candidate.word))],
+    };
+  }
+
+  // First theme that has the word (used for hints), null for words from elsewhere
+  function themeOf(value) {
+    const word = cleanWord(value);
+    for (const theme of themes.values()) {
+      if (DIFFICULTIES.some((tier) => theme.words[tier].has(word))) return theme.name;
+    }
+    return null;
+  }
+
+  return {
+    themeNames: () => [...themes.keys()],
+    parseRequest,
+    pickWord,
+    themeOf,
+  };
+}
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resetDrawing,
+  cleanStrokeBatch,
+  addStrokePoints,
+  clearDrawing,
+  undoDrawing,
+  redoDrawing,
+  countPoints,
+  DEFAULT_BRUSH_COLOR,
+  MAX_POINTS_PER_ROOM,
+  MAX_UNDO_STEPS,
+} from "../src/drawing.js";
+
+function newRoom() {
+  const room = {};
+  resetDrawing(room);
+  return room;
+}
+
+function draw(room, strokeId, pointCount = 2) {
+  const points = Array.from({ length: pointCount }, () => [0.5, 0.5, 0.01]);
+  return addStrokePoints(room, { strokeId, color: "#000000", erase: false, points }, 0);
+}
+
+const ids = (room) => room.strokes.map((stroke) => stroke.id);
+
+test("cleanStrokeBatch keeps only drawable values", () => {
+  const batch = cleanStrokeBatch({ strokeId: "a", color: "#ABCDEF", points: [[2, -1, 5], "x"] });
+  assert.equal(batch.color, "#abcdef");
+  assert.deepEqual(batch.points, [[1, 0, 0.1]]);
+  assert.equal(cleanStrokeBatch({ strokeId: "a", color: ["#ffffff"], points: [[0, 0]] }).color, DEFAULT_BRUSH_COLOR);
+  assert.equal(cleanStrokeBatch({ strokeId: "a", points: [] }), null);
+  assert.equal(cleanStrokeBatch({ points: [[0, 0]] }), null);
+});
+
+test("batches of one stroke are one undo step", () => {
+  const room = newRoom();
+  draw(room, "a");
+  draw(room, "a");
+  draw(room, "b");
+  assert.deepEqual(ids(room), ["a", "b"]);
+  assert.equal(room.strokes[0].points.length, 4);
+
+  assert.ok(undoDrawing(room));
+  assert.deepEqual(ids(room), ["a"]);
+  assert.ok(redoDrawing(room));
+  assert.deepEqual(ids(room), ["a", "b"]);
+  assert.ok(!redoDrawing(room));
+});
+
+test("a new stroke drops the redo history", () => {
+  const room = newRoom();
+  draw(room, "a");
+  draw(room, "b");
+  undoDrawing(room);
+  draw(room, "c");
+  assert.ok(!redoDrawing(room));
+  assert.deepEqual(ids(room), ["a", "c"]);
+});
+
+test("clear can be undone and redone", () => {
+  const room = newRoom();
+  draw(room, "a");
+  draw(room, "b");
+  clearDrawing(room);
+  assert.deepEqual(ids(room), []);
+
+  undoDrawing(room);
+  assert.deepEqual(ids(room), ["a", "b"]);
+  redoDrawing(room);
+  assert.deepEqual(ids(room), []);
+  undoDrawing(room);
+  undoDrawing(room);
+  assert.deepEqual(ids(room), ["a"]);
+  undoDrawing(room);
+  assert.deepEqual(ids(room), []);
+  assert.ok(!undoDrawing(room));
+});
+
+test("clearing an empty canvas is not an undo step", () => {
+  const room = newRoom();
+  clearDrawing(room);
+  assert.equal(room.undoStack.length, 0);
+  assert.ok(!undoDrawing(room));
+});
+
+test("undo history is capped, redo included", () => {
+  const room = newRoom();
+  for (let i = 0; i < MAX_UNDO_STEPS + 5; i++) draw(room, `s${i}`);
+  assert.equal(room.undoStack.length, MAX_UNDO_STEPS);
+
+  // A full stack plus redos must stay at the cap too
+  undoDrawing(room);
+  draw(room, "extra");
+  undoDrawing(room);
+  redoDrawing(room);
+  assert.equal(room.undoStack.length, MAX_UNDO_STEPS);
+});
+
+test("cleared drawings count toward the room's points, and old ones make way", () => {
+  const room = newRoom();
+  const perStroke = 200;
+  const strokesToFill = MAX_POINTS_PER_ROOM / perStroke;
+
+  for (let i = 0; i < strokesToFill; i++) assert.ok(draw(room, `a${i}`, perStroke));
+  assert.ok(!draw(room, "over", perStroke), "the canvas itself is full");
+
+  clearDrawing(room);
+  assert.equal(countPoints(room), MAX_POINTS_PER_ROOM);
+  // Drawing again forgets the cleared drawing rather than growing past the cap
+  assert.ok(draw(room, "b", perStroke));
+  assert.ok(countPoints(room) <= MAX_POINTS_PER_ROOM);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchGuess } from "../src/guessMatching.js";
+
+test("exact and close guesses are correct", () => {
+  assert.equal(matchGuess("bear", "bear"), "correct");
+  assert.equal(matchGuess("it's a spaceship", "spaceship"), "correct");
+  assert.equal(matchGuess("space ship", "spaceship"), "correct");
+  assert.equal(matchGuess("elefant", "elephant"), "correct");
+});
+
+test("homophones count as the word", () => {
+  assert.equal(matchGuess("bare", "bear"), "correct");
+  assert.equal(matchGuess("a knight", "night"), "correct");
+  assert.equal(matchGuess("tea", "tee"), "correct");
+});
+
+test("function words only count as homophones on their own", () => {
+  assert.equal(matchGuess("see", "sea"), "correct");
+  assert.equal(matchGuess("not", "knot"), "correct");
+  assert.equal(matchGuess("I", "eye"), "correct");
+
+  assert.notEqual(matchGuess("I see a boat", "sea"), "correct");
+  assert.notEqual(matchGuess("it is not a rope", "knot"), "correct");
+  assert.notEqual(matchGuess("which one", "witch"), "correct");
+  assert.notEqual(matchGuess("the whole thing", "hole"), "correct");
+  assert.notEqual(matchGuess("I have no idea", "eye"), "correct");
+});
+
+test("unrelated guesses are wrong", () => {
+  assert.equal(matchGuess("banana", "elephant"), "wrong");
+  assert.equal(matchGuess("", "elephant"), "wrong");
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../src/rateLimit.js";
+
+test("a new key gets its burst, then is refused", () => {
+  const limiter = createRateLimiter({ name: "test", perSecond: 1, burst: 3 });
+  assert.deepEqual([1, 2, 3, 4].map(() => limiter.take("a", 0)), [true, true, true, false]);
+  // Keys don't share a bucket
+  assert.ok(limiter.take("b", 0));
+});
+
+test("tokens refill at perSecond up to the burst", () => {
+  const limiter = createRateLimiter({ name: "test", perSecond: 2, burst: 2 });
+  limiter.take("a", 0);
+  limiter.take("a", 0);
+  assert.ok(!limiter.take("a", 0));
+  assert.ok(!limiter.take("a", 400));
+  assert.ok(limiter.take("a", 500));
+  // A long wait still only gives back the burst
+  assert.deepEqual([1, 2, 3].map(() => limiter.take("a", 60000)), [true, true, false]);
+});
+
+test("burst defaults to perSecond", () => {
+  const limiter = createRateLimiter({ name: "test", perSecond: 2 });
+  assert.deepEqual([1, 2, 3].map(() => limiter.take("a", 0)), [true, true, false]);
+});
+
+test("allows checks without using a token", () => {
+  const limiter = createRateLimiter({ name: "test", perSecond: 1, burst: 1 });
+  assert.ok(limiter.allows("a", 0));
+  assert.ok(limiter.allows("a", 0));
+  assert.ok(limiter.take("a", 0));
+  assert.ok(!limiter.allows("a", 0));
+  assert.ok(limiter.allows("a", 1000));
+});
+
+test("warnDue is true once per interval while refused", () => {
+  const limiter = createRateLimiter({ name: "test", perSecond: 1, burst: 1, warnIntervalMs: 1000 });
+  assert.ok(!limiter.warnDue("a", 0)); // unknown key
+  limiter.take("a", 0);
+  assert.ok(limiter.warnDue("a", 0));
+  assert.ok(!limiter.warnDue("a", 500));
+  assert.ok(limiter.warnDue("a", 1000));
+});
+
+test("forget gives a key a fresh bucket", () => {
+  const limiter = createRateLimiter({ name: "test", perSecond: 1, burst: 1 });
+  limiter.take("a", 0);
+  assert.ok(!limiter.take("a", 0));
+  limiter.forget("a");
+  assert.ok(limiter.take("a", 0));
+});
+
+test("a flood of keys is pruned to maxKeys, dropping full buckets first", () => {
+  const limiter = createRateLimiter({ name: "test", perSecond: 1, burst: 2, maxKeys: 3 });
+  limiter.take("busy", 0);
+  limiter.take("busy", 0);
+  limiter.take("idle", 0);
+  limiter.take("other", 0);
+  // "idle" and "other" are full again by now and get dropped, "busy" is kept
+  limiter.take("new", 1000);
+  assert.ok(limiter.take("busy", 1000));
+  assert.ok(!limiter.take("busy", 1000));
+  // Even with every bucket in use, the oldest goes so the map stays bounded
+  const crowded = createRateLimiter({ name: "test", perSecond: 1, burst: 1, maxKeys: 2 });
+  crowded.take("a", 0);
+  crowded.take("b", 0);
+  crowded.take("c", 0);
+  assert.ok(crowded.take("a", 0), "a was dropped, so it starts with a full bucket");
+});
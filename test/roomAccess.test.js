@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  canViewGallery,
+  checkWebJoin,
+  cleanPin,
+  createAccessToken,
+  isDrawerToken,
+  isHostToken,
+} from "../src/roomAccess.js";
+
+function makeRoom(fields = {}) {
+  return { hostToken: null, drawerToken: null, pin: null, ...fields };
+}
+
+test("cleanPin keeps 4 to 8 digits only", () => {
+  assert.equal(cleanPin(" 1234 "), "1234");
+  assert.equal(cleanPin("12345678"), "12345678");
+  assert.equal(cleanPin(4321), "4321");
+  assert.equal(cleanPin("123"), null);
+  assert.equal(cleanPin("123456789"), null);
+  assert.equal(cleanPin("12a4"), null);
+  assert.equal(cleanPin(""), null);
+  assert.equal(cleanPin(undefined), null);
+});
+
+test("tokens are random and only match their own room", () => {
+  const token = createAccessToken();
+  assert.notEqual(token, createAccessToken());
+  assert.ok(isHostToken(makeRoom({ hostToken: token }), token));
+  assert.ok(!isHostToken(makeRoom({ hostToken: token }), createAccessToken()));
+  assert.ok(!isHostToken(makeRoom(), undefined));
+  assert.ok(isDrawerToken(makeRoom({ drawerToken: token }), token));
+  assert.ok(!isDrawerToken(makeRoom(), token));
+});
+
+test("the first drawer of an open room gets in", () => {
+  assert.deepEqual(checkWebJoin(makeRoom(), { role: "drawer" }), { ok: true, isHost: false });
+  assert.deepEqual(checkWebJoin(makeRoom(), { role: "caller" }), { ok: true, isHost: false });
+});
+
+test("a claimed drawer slot needs the host token, a drawer token or the host's OK", () => {
+  const room = makeRoom({ hostToken: "host-token", drawerToken: "drawer-token" });
+  assert.deepEqual(checkWebJoin(room, { role: "drawer", token: "host-token" }), { ok: true, isHost: true });
+  assert.deepEqual(checkWebJoin(room, { role: "drawer", drawerToken: "drawer-token" }), { ok: true, isHost: false });
+  assert.equal(checkWebJoin(room, { role: "drawer", hostOnline: true }).reason, "needsApproval");
+  assert.equal(checkWebJoin(room, { role: "drawer", hostOnline: false }).reason, "drawerClaimed");
+  assert.equal(checkWebJoin(room, { role: "drawer", token: "guess", hostOnline: false }).reason, "drawerClaimed");
+  assert.equal(checkWebJoin(room, { role: "caller" }).ok, true);
+});
+
+test("PIN rooms need the PIN from everyone but the host", () => {
+  const room = makeRoom({ hostToken: "host-token", pin: "4321" });
+  assert.equal(checkWebJoin(room, { role: "caller" }).reason, "pinRequired");
+  assert.equal(checkWebJoin(room, { role: "caller", pin: "1111" }).reason, "badPin");
+  assert.equal(checkWebJoin(room, { role: "caller", pin: "4321" }).ok, true);
+  assert.equal(checkWebJoin(room, { role: "spectator", pin: "4321" }).ok, true);
+  assert.deepEqual(checkWebJoin(room, { role: "drawer", token: "host-token" }), { ok: true, isHost: true });
+  // The right PIN alone doesn't hand out the drawer slot
+  assert.equal(checkWebJoin(room, { role: "drawer", pin: "4321", hostOnline: true }).reason, "needsApproval");
+});
+
+test("the gallery of a PIN room takes the PIN or the host token", () => {
+  const room = makeRoom({ hostToken: "host-token", pin: "4321" });
+  assert.ok(canViewGallery(makeRoom(), {}));
+  assert.ok(canViewGallery(room, { pin: "4321" }));
+  assert.ok(canViewGallery(room, { token: "host-token" }));
+  assert.ok(!canViewGallery(room, { pin: "1111" }));
+  assert.ok(!canViewGallery(room, {}));
+});
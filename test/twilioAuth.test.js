@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeTwilioSignature, validateTwilioSignature } from "../src/twilioAuth.js";
+
+// The example from Twilio's webhook security docs
+const AUTH_TOKEN = "12345";
+const URL_NO_PORT = "https://mycompany.com/myapp.php?foo=1&bar=2";
+const URL_WITH_PORT = "https://mycompany.com:443/myapp.php?foo=1&bar=2";
+const PARAMS = {
+  CallSid: "CA1234567890ABCDE",
+  Caller: "+12349013030",
+  Digits: "1234",
+  From: "+12349013030",
+  To: "+18005551212",
+};
+
+test("signs like Twilio", () => {
+  assert.equal(computeTwilioSignature(AUTH_TOKEN, URL_NO_PORT, PARAMS), "0/KCTR6DLpKmkAf8muzZqo1nDgQ=");
+});
+
+test("accepts the URL with or without the default port", () => {
+  const withoutPort = computeTwilioSignature(AUTH_TOKEN, URL_NO_PORT, PARAMS);
+  const withPort = computeTwilioSignature(AUTH_TOKEN, URL_WITH_PORT, PARAMS);
+  assert.ok(validateTwilioSignature(AUTH_TOKEN, withPort, URL_NO_PORT, PARAMS));
+  assert.ok(validateTwilioSignature(AUTH_TOKEN, withoutPort, URL_WITH_PORT, PARAMS));
+});
+
+test("rejects other ports and tokens", () => {
+  const signature = computeTwilioSignature(AUTH_TOKEN, URL_NO_PORT, PARAMS);
+  assert.ok(!validateTwilioSignature(AUTH_TOKEN, signature, "https://mycompany.com:8443/myapp.php?foo=1&bar=2", PARAMS));
+  assert.ok(!validateTwilioSignature("other", signature, URL_NO_PORT, PARAMS));
+  assert.ok(!validateTwilioSignature(AUTH_TOKEN, "", URL_NO_PORT, PARAMS));
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWordProvider, validateWord, validateClue, DEFAULT_MOCK_WORDS } from "../src/wordProviders.js";
+
+const quietLogger = { warn() {} };
+
+test("the mock provider hands out its words in order, skipping played ones", async () => {
+  const provider = createWordProvider({ type: "mock", logger: quietLogger });
+  assert.equal(provider.name, "mock");
+  assert.equal(await provider.generateWord({ theme: "anything" }), DEFAULT_MOCK_WORDS[0]);
+  assert.equal(await provider.generateWord({ theme: "anything", avoid: [DEFAULT_MOCK_WORDS[1]] }), DEFAULT_MOCK_WORDS[2]);
+});
+
+test("the mock provider uses the configured words and gives a clue", async () => {
+  const provider = createWordProvider({ type: "mock", mockWords: ["Fire Truck"], logger: quietLogger });
+  assert.equal(await provider.generateWord({ theme: "vehicles" }), "fire truck");
+  assert.equal(
+    await provider.generateClue({ word: "fire truck" }),
+    "Think about where you would usually find one."
+  );
+});
+
+test("missing settings fall back to the word bank instead of throwing", () => {
+  const warnings = [];
+  const logger = { warn: (message) => warnings.push(message) };
+  assert.equal(createWordProvider({ type: "local", logger }), null);
+  assert.equal(createWordProvider({ type: "openai", logger }), null);
+  assert.equal(createWordProvider({ type: "none", logger }), null);
+  assert.equal(createWordProvider({ type: "nonsense", logger }), null);
+  assert.equal(warnings.length, 3);
+});
+
+test("model answers are cleaned up or rejected", () => {
+  assert.equal(validateWord('"Penguin."\nIt lives in the cold.'), "penguin");
+  assert.equal(validateWord("a drawing of a very big red bus"), null);
+  assert.equal(validateWord("R2-D2"), null);
+  assert.equal(validateClue("It has lots of penguins", "penguin"), null);
+  assert.equal(validateClue("It lives where it is cold", "penguin"), "It lives where it is cold");
+});